@@ -0,0 +1,48 @@
+const fs = require('fs');
+const truffleConfig = require('../truffle.js');
+// The dapp and the server compare it with the ABI they were built with
+const { abiHash } = require('../src/shared/deployment.js');
+
+// Where the migrations record the deployments, one entry per network
+const CONFIG_FILES = [
+    __dirname + '/../src/dapp/config.json',
+    __dirname + '/../src/server/config.json'
+];
+
+// The dapp and the server have always called the development chain "localhost",
+// dry runs (--dry-run or the simulation before a live deploy) are named after the network they fork
+function configName(network) {
+    network = network.replace(/-fork$/, '');
+    return network === 'development' ? 'localhost' : network;
+}
+
+function networkUrl(network) {
+    let settings = truffleConfig.networks[network] || {};
+    return settings.url || `http://${settings.host || 'localhost'}:${settings.port || 7545}`;
+}
+
+function readNetwork(name) {
+    let file = CONFIG_FILES[0];
+    if (!fs.existsSync(file)) return null;
+    return JSON.parse(fs.readFileSync(file, 'utf-8'))[name] || null;
+}
+
+// Replaces the entry of one network, the entries of other networks are kept as they are
+function writeNetwork(name, entry) {
+    CONFIG_FILES.forEach(file => {
+        let config = {};
+        if (fs.existsSync(file)) {
+            config = JSON.parse(fs.readFileSync(file, 'utf-8'));
+        }
+        config[name] = entry;
+        fs.writeFileSync(file, JSON.stringify(config, null, '\t'), 'utf-8');
+    });
+}
+
+module.exports = {
+    configName,
+    networkUrl,
+    abiHash,
+    readNetwork,
+    writeNetwork
+};
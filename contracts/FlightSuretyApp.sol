@@ -16,6 +16,8 @@ contract FlightSuretyApp {
     /*                                       DATA VARIABLES                                     */
     /********************************************************************************************/
 
+    string public constant VERSION = "1.2.0";
+
     // Flight status codees
     uint8 private constant STATUS_CODE_UNKNOWN = 0;
     uint8 private constant STATUS_CODE_ON_TIME = 10;
@@ -28,11 +30,40 @@ contract FlightSuretyApp {
     uint256 private constant PASSANGER_MAX_INSURANCE = 1 ether;
 
     uint8 private constant AIRLINES_MIN_COUNT = 4;
+
+    // Payouts are percentages of the insurance value, one per delay cause (status codes 20 to 50)
+    uint8 private constant PAYOUT_CAUSES = 4;
+    uint16[4] private payoutTerms;
+    // Airlines may offer their own payout for a cause
+    mapping(address => uint16[4]) private airlinePayoutTerms;
+    mapping(address => bool[4]) private airlinePayoutSet;
+
     mapping(address => address[]) private multiCalls;
 
+    // Airlines waiting for enough votes, with the name they were proposed under
+    address[] private candidates;
+    mapping(address => string) private candidateNames;
+
     address private contractOwner; // Account used to deploy contract
     FlightSuretyData private dataContract;
 
+    // App contract the state was taken over from, see migrateFrom
+    address public predecessor;
+    // App contract that replaced this one, see retire
+    address public successor;
+
+    /********************************************************************************************/
+    /*                                       EVENT DEFINITIONS                                  */
+    /********************************************************************************************/
+
+    event AirlineCandidateProposed(address candidate, string name, address proposer);
+    event AirlineVoted(address candidate, address voter, uint256 votes, uint256 votesRequired);
+    // The airline is the zero address for the default payouts
+    event PayoutSet(address airline, uint8 statusCode, uint16 percent);
+    event PayoutCleared(address airline, uint8 statusCode);
+    event AppRetired(address successor, uint256 stakes);
+    event AppMigrated(address predecessor, uint256 oracles);
+
     /********************************************************************************************/
     /*                                       FUNCTION MODIFIERS                                 */
     /********************************************************************************************/
@@ -74,6 +105,14 @@ contract FlightSuretyApp {
         _;
     }
 
+    modifier requireAirlineOrOwner(address _airline) {
+        require(
+            msg.sender == _airline || msg.sender == contractOwner,
+            "Caller is not the airline or contract owner"
+        );
+        _;
+    }
+
     modifier requireFundedAirline(address _address) {
         require(
             dataContract.isAirlineFunded(_address),
@@ -93,20 +132,176 @@ contract FlightSuretyApp {
     constructor(address _dataContract) {
         contractOwner = msg.sender;
         dataContract = FlightSuretyData(payable(_dataContract));
+        // Only delays caused by the airline pay out unless configured otherwise
+        payoutTerms[payoutCause(STATUS_CODE_LATE_AIRLINE)] = 150;
     }
 
     /********************************************************************************************/
     /*                                       UTILITY FUNCTIONS                                  */
     /********************************************************************************************/
 
+    // A retired app stays paused for good
     function isOperational() public view returns (bool) {
-        return dataContract.isOperational();
+        return successor == address(0) && dataContract.isOperational();
+    }
+
+    function getFlightKey(
+        address _airline,
+        string memory _flight,
+        uint256 _departure
+    ) public view returns (bytes32) {
+        return dataContract.getFlightKey(_airline, _flight, _departure);
     }
 
     function isFlightRegistered(
-        string memory _flight
+        address _airline,
+        string memory _flight,
+        uint256 _departure
     ) public view returns (bool) {
-        return dataContract.isFlightRegistered(_flight);
+        return dataContract.isFlightRegistered(getFlightKey(_airline, _flight, _departure));
+    }
+
+    /**
+     * @dev Keys of all registered flights, for the flight picker of the dapp
+     */
+    function getFlights() external view returns (bytes32[] memory) {
+        return dataContract.getFlightKeys();
+    }
+
+    function getFlight(
+        bytes32 _flightKey
+    ) external view returns (FlightSuretyData.Flight memory) {
+        return dataContract.getFlight(_flightKey);
+    }
+
+    function isAirline(address _airline) public view returns (bool) {
+        return dataContract.isAirline(_airline);
+    }
+
+    function isAirlineFunded(address _airline) public view returns (bool) {
+        return dataContract.isAirlineFunded(_airline);
+    }
+
+    function getPassengerCredit(
+        address _passenger
+    ) public view returns (uint256) {
+        return dataContract.getPassengerCredit(_passenger);
+    }
+
+    function getContractOwner() public view returns (address) {
+        return contractOwner;
+    }
+
+    /**
+     * @dev Votes a candidate needs to be registered, half of the registered airlines
+     */
+    function getVotesRequired() public view returns (uint256) {
+        return dataContract.getAirlinesRegistered() / 2;
+    }
+
+    /**
+     * @dev Airlines proposed for registration that don't have enough votes yet
+     */
+    function getCandidates() external view returns (address[] memory) {
+        return candidates;
+    }
+
+    function getCandidate(
+        address _candidate
+    ) external view returns (string memory name, address[] memory voters) {
+        return (candidateNames[_candidate], multiCalls[_candidate]);
+    }
+
+    /**
+     * @dev Payout percentages that apply to insurance bought now for a flight of the airline,
+     *      for the status codes 20, 30, 40 and 50
+     */
+    function getPayoutTerms(
+        address _airline
+    ) public view returns (uint16[4] memory terms) {
+        for (uint8 c = 0; c < PAYOUT_CAUSES; c++) {
+            terms[c] = airlinePayoutSet[_airline][c]
+                ? airlinePayoutTerms[_airline][c]
+                : payoutTerms[c];
+        }
+        return terms;
+    }
+
+    /**
+     * @dev Funds and premiums an airline took in, the highest payouts of its active insurances,
+     *      the claims credited so far and what is left to cover new insurances
+     */
+    function getAirlineSolvency(
+        address _airline
+    )
+        external
+        view
+        returns (
+            uint256 funds,
+            uint256 premiums,
+            uint256 exposure,
+            uint256 claims,
+            uint256 available
+        )
+    {
+        FlightSuretyData.AirlineAccount memory account = dataContract.getAirlineAccount(_airline);
+        uint256 reserves = account.funds + account.premiums - account.claims;
+        return (
+            account.funds,
+            account.premiums,
+            account.exposure,
+            account.claims,
+            reserves > account.exposure ? reserves - account.exposure : 0
+        );
+    }
+
+    /**
+     * @dev Payout percentages of an insurance, fixed when it was bought
+     */
+    function getInsuranceTerms(
+        address _passenger,
+        bytes32 _flightKey
+    ) external view returns (uint16[4] memory) {
+        return dataContract.getInsuranceTerms(_passenger, _flightKey);
+    }
+
+    /**
+     * @dev Insurances a passenger bought with the flight of each, settled ones included
+     */
+    function getPolicies(
+        address _passenger
+    )
+        external
+        view
+        returns (
+            FlightSuretyData.Policy[] memory policies,
+            FlightSuretyData.Flight[] memory flights
+        )
+    {
+        return dataContract.getPolicies(_passenger);
+    }
+
+    /**
+     * @dev Payout a passenger can claim for a flight, zero while the status is unknown,
+     *      when it doesn't pay out or once the insurance was settled
+     */
+    function getClaimable(
+        address _passenger,
+        bytes32 _flightKey
+    ) external view returns (uint256) {
+        return payoutOf(_passenger, _flightKey, dataContract.getFlight(_flightKey).statusCode);
+    }
+
+    function hasVoted(
+        address _candidate,
+        address _voter
+    ) public view returns (bool) {
+        for (uint256 c = 0; c < multiCalls[_candidate].length; c++) {
+            if (multiCalls[_candidate][c] == _voter) {
+                return true;
+            }
+        }
+        return false;
     }
 
     /********************************************************************************************/
@@ -138,31 +333,104 @@ contract FlightSuretyApp {
             success = true;
             votes = 0;
         } else {
-            bool isDuplicate = false;
-            for (uint256 c = 0; c < multiCalls[_newAirline].length; c++) {
-                if (multiCalls[_newAirline][c] == msg.sender) {
-                    isDuplicate = true;
-                    break;
-                }
+            require(
+                !dataContract.isAirline(_newAirline),
+                "Airline is already registered"
+            );
+            require(!hasVoted(_newAirline, msg.sender), "Caller has already voted!");
+
+            // The first vote proposes the candidate, later votes are for that name
+            if (multiCalls[_newAirline].length == 0) {
+                // Otherwise the votes would only fail once they register the airline
+                require(
+                    dataContract.getAirlineAddress(_name) == address(0),
+                    "Airline with such name already exists"
+                );
+                candidates.push(_newAirline);
+                candidateNames[_newAirline] = _name;
+                emit AirlineCandidateProposed(_newAirline, _name, msg.sender);
             }
-            require(!isDuplicate, "Caller has already voted!");
 
             multiCalls[_newAirline].push(msg.sender);
-            if (
-                multiCalls[_newAirline].length >=
-                dataContract.getAirlinesRegistered() / 2
-            ) {
-                dataContract.registerAirline(_newAirline, _name);
+            votes = multiCalls[_newAirline].length;
+            uint256 votesRequired = getVotesRequired();
+            emit AirlineVoted(_newAirline, msg.sender, votes, votesRequired);
+
+            if (votes >= votesRequired) {
+                dataContract.registerAirline(_newAirline, candidateNames[_newAirline]);
+                removeCandidate(_newAirline);
                 success = true;
             } else {
                 success = false;
             }
-            votes = multiCalls[_newAirline].length;
         }
 
         return (success, votes);
     }
 
+    function removeCandidate(address _candidate) private {
+        for (uint256 c = 0; c < candidates.length; c++) {
+            if (candidates[c] == _candidate) {
+                candidates[c] = candidates[candidates.length - 1];
+                candidates.pop();
+                break;
+            }
+        }
+    }
+
+    /**
+     * @dev Default payout for a delay cause, in percent of the insurance value
+     */
+    function setPayout(
+        uint8 _statusCode,
+        uint16 _percent
+    ) external requireIsOperational requireContractOwner {
+        payoutTerms[payoutCause(_statusCode)] = _percent;
+
+        emit PayoutSet(address(0), _statusCode, _percent);
+    }
+
+    /**
+     * @dev Payout the airline offers instead of the default, set by the airline or the owner
+     */
+    function setAirlinePayout(
+        address _airline,
+        uint8 _statusCode,
+        uint16 _percent
+    ) external requireIsOperational requireAirlineOrOwner(_airline) {
+        require(dataContract.isAirline(_airline), "Airline is not registered");
+        uint8 cause = payoutCause(_statusCode);
+        airlinePayoutTerms[_airline][cause] = _percent;
+        airlinePayoutSet[_airline][cause] = true;
+
+        emit PayoutSet(_airline, _statusCode, _percent);
+    }
+
+    function clearAirlinePayout(
+        address _airline,
+        uint8 _statusCode
+    ) external requireIsOperational requireAirlineOrOwner(_airline) {
+        uint8 cause = payoutCause(_statusCode);
+        delete airlinePayoutTerms[_airline][cause];
+        delete airlinePayoutSet[_airline][cause];
+
+        emit PayoutCleared(_airline, _statusCode);
+    }
+
+    function isDelay(uint8 _statusCode) private pure returns (bool) {
+        return
+            _statusCode == STATUS_CODE_LATE_AIRLINE ||
+            _statusCode == STATUS_CODE_LATE_WEATHER ||
+            _statusCode == STATUS_CODE_LATE_TECHNICAL ||
+            _statusCode == STATUS_CODE_LATE_OTHER;
+    }
+
+    // Position of a delay status code in the payout terms
+    function payoutCause(uint8 _statusCode) private pure returns (uint8) {
+        require(isDelay(_statusCode), "Status code is not a delay");
+        return _statusCode / 10 - 2;
+    }
+
     function fund()
         external
         payable
@@ -177,57 +445,148 @@ contract FlightSuretyApp {
         dataContract.fund{value: msg.value}(msg.sender);
     }
 
+    /**
+     * @dev Insure a flight, sales close at its scheduled departure
+     */
     function buy(
         address _airline,
-        string memory _flight
+        string memory _flight,
+        uint256 _departure
     ) external payable requireIsOperational requireFundedAirline(_airline) {
         require(
             msg.value <= PASSANGER_MAX_INSURANCE,
             "Too high insurance value!"
         );
+        bytes32 flightKey = getFlightKey(_airline, _flight, _departure);
         require(
-            dataContract.getFlightAirline(_flight) == _airline,
+            dataContract.isFlightRegistered(flightKey),
             "Flight is not registered for this airline!"
         );
+        require(
+            block.timestamp < _departure,
+            "Insurance sales are closed for this flight"
+        );
 
-        dataContract.buy{value: msg.value}(msg.sender, _flight);
+        dataContract.buy{value: msg.value}(msg.sender, flightKey, getPayoutTerms(_airline));
     }
 
     function pay(uint256 _value) external requireIsOperational {
         dataContract.pay(msg.sender, _value);
     }
 
-    function creditInsurees(
-        string memory _flight
-    ) internal requireIsOperational {
-        address[] memory insurees = dataContract.getFlightInsurees(_flight);
-        for (uint i = 0; i < insurees.length; i++) {
-            uint256 value = dataContract.getFlightInsurance(
-                insurees[i],
-                _flight
-            );
-            uint256 creditValue = value + value / 2;
-            dataContract.creditInsuree(insurees[i], _flight, creditValue);
+    /**
+     * @dev Credits the caller the payout of its insurance once the flight status is known.
+     *      Payouts are claimed one insurance at a time, so settling a flight costs the
+     *      same however many passengers insured it
+     */
+    function claim(bytes32 _flightKey) external requireIsOperational {
+        uint8 statusCode = settledStatus(_flightKey);
+        uint256 value = payoutOf(msg.sender, _flightKey, statusCode);
+        require(value > 0, "Nothing to claim for this flight");
+        dataContract.creditInsuree(msg.sender, _flightKey, value);
+    }
+
+    /**
+     * @dev Closes insurances of a flight whose status is known, crediting their payout if
+     *      there is one. Insurances without payout expire so they no longer count against
+     *      the airline's funds. Anyone may call it, batches are up to the caller
+     */
+    function settleInsurances(
+        bytes32 _flightKey,
+        address[] calldata _passengers
+    ) external requireIsOperational {
+        uint8 statusCode = settledStatus(_flightKey);
+        for (uint i = 0; i < _passengers.length; i++) {
+            if (dataContract.getFlightInsurance(_passengers[i], _flightKey) == 0) {
+                continue;
+            }
+            uint256 value = payoutOf(_passengers[i], _flightKey, statusCode);
+            if (value > 0) {
+                dataContract.creditInsuree(_passengers[i], _flightKey, value);
+            } else {
+                dataContract.expireInsurance(_passengers[i], _flightKey);
+            }
+        }
+    }
+
+    // Status of a flight the oracles agreed on, insurances can be settled from then on
+    function settledStatus(bytes32 _flightKey) private view returns (uint8) {
+        uint8 statusCode = dataContract.getFlight(_flightKey).statusCode;
+        require(statusCode != STATUS_CODE_UNKNOWN, "Flight status is not known yet");
+        return statusCode;
+    }
+
+    // Payout of an active insurance under its terms, nothing unless the flight was delayed
+    function payoutOf(
+        address _passenger,
+        bytes32 _flightKey,
+        uint8 _statusCode
+    ) private view returns (uint256) {
+        if (!isDelay(_statusCode)) {
+            return 0;
         }
+        uint256 value = dataContract.getFlightInsurance(_passenger, _flightKey);
+        uint16 percent = dataContract.getInsuranceTerms(
+            _passenger,
+            _flightKey
+        )[payoutCause(_statusCode)];
+        return (value * percent) / 100;
     }
 
     /**
      * @dev Register a future flight for insuring.
+     *      The scheduled departure (unix seconds) is part of the flight key
      *
      */
     function registerFlight(
-        string memory _name
+        string memory _name,
+        uint256 _departure
     )
         external
         requireIsOperational
         requireAirline(msg.sender)
         requireFundedAirline(msg.sender)
     {
-        dataContract.registerFlight(_name, msg.sender, STATUS_CODE_UNKNOWN);
+        require(
+            _departure > block.timestamp,
+            "Departure has to be in the future"
+        );
+        dataContract.registerFlight(_name, msg.sender, _departure, STATUS_CODE_UNKNOWN);
+    }
+
+    /**
+     * @dev Register a batch of future flights, e.g. from a season's schedule.
+     *      Flights already registered or departed are skipped rather than failing the batch,
+     *      the data contract's FlightRegistered events tell which ones were registered
+     *
+     */
+    function registerFlights(
+        string[] calldata _names,
+        uint256[] calldata _departures
+    )
+        external
+        requireIsOperational
+        requireAirline(msg.sender)
+        requireFundedAirline(msg.sender)
+        returns (uint256 registered)
+    {
+        require(
+            _names.length == _departures.length,
+            "Every flight needs a departure"
+        );
+        for (uint256 f = 0; f < _names.length; f++) {
+            bytes32 flightKey = getFlightKey(msg.sender, _names[f], _departures[f]);
+            if (_departures[f] > block.timestamp && !dataContract.isFlightRegistered(flightKey)) {
+                dataContract.registerFlight(_names[f], msg.sender, _departures[f], STATUS_CODE_UNKNOWN);
+                registered++;
+            }
+        }
     }
 
     /**
      * @dev Called after oracle has updated flight status
+     *      `timestamp` is the scheduled departure of the flight.
+     *      Only the oracle consensus may decide a flight's status, so it can't be called from outside
      *
      */
     function processFlightStatus(
@@ -235,26 +594,46 @@ contract FlightSuretyApp {
         string memory flight,
         uint256 timestamp,
         uint8 statusCode
-    ) public requireIsOperational {
-        require(statusCode != STATUS_CODE_UNKNOWN, "Flight status UNKNOWN");
+    ) internal requireIsOperational {
+        bytes32 flightKey = getFlightKey(airline, flight, timestamp);
         require(
-            dataContract.getFlightAirline(flight) == airline,
+            dataContract.isFlightRegistered(flightKey),
             "No flight for such airline"
         );
-
-        dataContract.updateFlightStatus(flight, statusCode, timestamp);
-
-        if (statusCode == STATUS_CODE_LATE_AIRLINE) {
-            creditInsurees(flight);
+        // An unknown status settles nothing. A flight's insurances are settled once, another
+        // request of the flight may have reached its consensus first
+        if (
+            statusCode == STATUS_CODE_UNKNOWN ||
+            dataContract.getFlight(flightKey).statusCode != STATUS_CODE_UNKNOWN
+        ) {
+            return;
         }
+
+        emit FlightStatusInfo(airline, flight, timestamp, statusCode);
+        // Only the outcome is recorded, passengers claim their payouts themselves
+        dataContract.updateFlightStatus(flightKey, statusCode, block.timestamp);
     }
 
     // Generate a request for oracles to fetch flight information
+    // The timestamp is the scheduled departure, the status can only be asked for once it has passed
     function fetchFlightStatus(
         address airline,
         string calldata flight,
         uint256 timestamp
     ) external {
+        require(
+            dataContract.isFlightRegistered(getFlightKey(airline, flight, timestamp)),
+            "Flight is not registered"
+        );
+        require(
+            block.timestamp >= timestamp,
+            "Flight has not departed yet"
+        );
+        require(
+            dataContract.getFlight(getFlightKey(airline, flight, timestamp)).statusCode == STATUS_CODE_UNKNOWN,
+            "Flight status is already known"
+        );
+
         uint8 index = getRandomIndex(msg.sender);
 
         // Generate a unique key for storing the request
@@ -262,12 +641,99 @@ contract FlightSuretyApp {
             abi.encodePacked(index, airline, flight, timestamp)
         );
 
+        // Oracles are still voting on an open request, only one past its timeout may be made again
+        require(
+            !oracleResponses[key].isOpen || block.number > oracleResponses[key].expiresAt,
+            "Oracle request is still open"
+        );
+
         oracleResponses[key].requester = msg.sender;
         oracleResponses[key].isOpen = true;
+        oracleResponses[key].expiresAt = block.number + requestTimeout;
+        // A request made again with the same index starts without votes
+        oracleResponses[key].round++;
+        // Every oracle with the index is invited, see getOracle
+        indexRequests[index]++;
 
         emit OracleRequest(index, airline, flight, timestamp);
     }
 
+    /********************************************************************************************/
+    /*                                       UPGRADE                                            */
+    /********************************************************************************************/
+
+    /**
+     * @dev Hands over to the app contract replacing this one once it took over the state with
+     *      migrateFrom: pauses this app for good and sends the oracle stakes along
+     */
+    function retire(address _successor) external requireContractOwner {
+        require(successor == address(0), "App contract is already retired");
+        require(FlightSuretyApp(_successor).predecessor() == address(this), "Successor has not taken over the state");
+        successor = _successor;
+        uint256 stakes = address(this).balance;
+        FlightSuretyApp(_successor).takeOverStakes{value: stakes}();
+
+        emit AppRetired(_successor, stakes);
+    }
+
+    // Only the app contract retiring to this one can send its stakes
+    function takeOverStakes() external payable {
+        require(FlightSuretyApp(msg.sender).successor() == address(this), "Caller is not retiring to this app");
+    }
+
+    /**
+     * @dev Takes over the state of the app contract this one replaces, before it retires: the request
+     *      timeout, the default and the airlines' payout terms, the airline candidates with their votes
+     *      and the oracles with their stake and reputation. Oracles can be carried over in several calls
+     */
+    function migrateFrom(
+        address _previous,
+        address[] calldata _airlines,
+        address[] calldata _oracles
+    ) external requireContractOwner {
+        FlightSuretyApp previous = FlightSuretyApp(_previous);
+        address retiredTo = previous.successor();
+        require(retiredTo == address(0) || retiredTo == address(this), "App contract was retired to another one");
+        require(predecessor == address(0) || predecessor == _previous, "State was taken over from another app");
+
+        if (predecessor == address(0)) {
+            predecessor = _previous;
+            requestTimeout = previous.getRequestTimeout();
+            payoutTerms = previous.getPayoutTerms(address(0));
+            indexRequests = previous.getIndexRequests();
+
+            address[] memory candidateList = previous.getCandidates();
+            for (uint256 c = 0; c < candidateList.length; c++) {
+                (string memory name, address[] memory voters) = previous.getCandidate(candidateList[c]);
+                candidates.push(candidateList[c]);
+                candidateNames[candidateList[c]] = name;
+                multiCalls[candidateList[c]] = voters;
+            }
+        }
+
+        // Terms that differ from the defaults were set for the airline
+        for (uint256 a = 0; a < _airlines.length; a++) {
+            uint16[4] memory terms = previous.getPayoutTerms(_airlines[a]);
+            for (uint8 c = 0; c < PAYOUT_CAUSES; c++) {
+                if (terms[c] != payoutTerms[c]) {
+                    airlinePayoutTerms[_airlines[a]][c] = terms[c];
+                    airlinePayoutSet[_airlines[a]][c] = true;
+                }
+            }
+        }
+
+        for (uint256 o = 0; o < _oracles.length; o++) {
+            if (oracles[_oracles[o]].isRegistered) continue;
+            (Oracle memory oracle, ) = previous.getOracle(_oracles[o]);
+            require(oracle.isRegistered, "Not registered as an oracle");
+            oracles[_oracles[o]] = oracle;
+
+            emit OracleRegistered(_oracles[o], oracle.indexes, oracle.stake);
+        }
+
+        emit AppMigrated(_previous, _oracles.length);
+    }
+
     // region ORACLE MANAGEMENT
 
     // Incremented to add pseudo-randomness at various points
@@ -279,19 +745,46 @@ contract FlightSuretyApp {
     // Number of oracles that must respond for valid status
     uint256 private constant MIN_RESPONSES = 3;
 
+    // The registration fee is the first stake, oracles with less can't respond
+    uint256 public constant MIN_STAKE = REGISTRATION_FEE;
+    // Disagreements with the consensus in a row that get an oracle slashed and suspended
+    uint8 public constant SLASH_STRIKES = 3;
+    uint256 public constant SLASH_PERCENT = 50;
+    uint256 public constant SUSPENSION_BLOCKS = 100;
+    // Blocks between asking for stake back and getting it, the stake can still be slashed meanwhile
+    uint256 public constant STAKE_COOLDOWN = 100;
+
+    // Blocks oracles have to reach consensus before a request expires
+    uint256 private requestTimeout = 20;
+
     struct Oracle {
         bool isRegistered;
         uint8[3] indexes;
+        uint256 stake;
+        uint256 invitedBefore; // Requests made for its indexes before it registered
+        uint256 answered; // Responses accepted
+        uint256 agreed; // Responses that matched the consensus
+        uint256 disagreed; // Responses that contradicted the consensus
+        uint8 strikes; // Disagreements in a row
+        uint256 suspendedUntil; // Last block it is suspended in
+        uint256 withdrawal; // Stake asked back
+        uint256 withdrawableAt; // Block the withdrawal can be made from
     }
 
     // Track all registered oracles
     mapping(address => Oracle) private oracles;
 
+    // Requests made per index, oracles are invited to those of their indexes
+    uint256[10] private indexRequests;
+
     // Model for responses from oracles
     struct ResponseInfo {
         address requester; // Account that requested status
         bool isOpen; // If open, oracle responses are accepted
-        mapping(uint8 => address[]) responses; // Mapping key is the status code reported
+        uint256 expiresAt; // Last block responses are accepted in
+        uint256 round; // Counts the requests made with this key
+        mapping(uint256 => mapping(uint8 => address[])) responses; // Mapping keys are the round and the status code reported
+        mapping(uint256 => mapping(address => bool)) responded; // Oracles that responded per round
         // This lets us group responses and identify
         // the response that majority of the oracles
     }
@@ -325,14 +818,184 @@ contract FlightSuretyApp {
         uint256 timestamp
     );
 
-    // Register an oracle with the contract
-    function registerOracle() external payable {
+    // Event fired when a request reached consensus, later responses are rejected
+    event OracleRequestClosed(
+        uint8 index,
+        address airline,
+        string flight,
+        uint256 timestamp,
+        uint8 status
+    );
+
+    // Event fired when a request got no consensus within the request timeout
+    event OracleRequestExpired(
+        uint8 index,
+        address airline,
+        string flight,
+        uint256 timestamp
+    );
+
+    event RequestTimeoutChanged(uint256 blocks);
+
+    event OracleRegistered(address oracle, uint8[3] indexes, uint256 stake);
+    event OracleStaked(address oracle, uint256 value, uint256 stake);
+    event OracleSlashed(address oracle, uint256 value, uint256 suspendedUntil);
+    event StakeWithdrawalRequested(address oracle, uint256 value, uint256 withdrawableAt);
+    event StakeWithdrawn(address oracle, uint256 value);
+
+    function getRequestTimeout() external view returns (uint256) {
+        return requestTimeout;
+    }
+
+    function setRequestTimeout(
+        uint256 _blocks
+    ) external requireContractOwner {
+        require(_blocks > 0, "Request timeout has to be at least one block");
+        requestTimeout = _blocks;
+
+        emit RequestTimeoutChanged(_blocks);
+    }
+
+    function getRequest(
+        uint8 index,
+        address airline,
+        string calldata flight,
+        uint256 timestamp
+    ) external view returns (bool isOpen, uint256 expiresAt) {
+        bytes32 key = keccak256(
+            abi.encodePacked(index, airline, flight, timestamp)
+        );
+        return (oracleResponses[key].isOpen, oracleResponses[key].expiresAt);
+    }
+
+    /**
+     * @dev Closes a request that is past its timeout, anyone may call it
+     */
+    function expireRequest(
+        uint8 index,
+        address airline,
+        string calldata flight,
+        uint256 timestamp
+    ) external {
+        bytes32 key = keccak256(
+            abi.encodePacked(index, airline, flight, timestamp)
+        );
+        require(oracleResponses[key].isOpen, "Oracle request is not open");
+        require(
+            block.number > oracleResponses[key].expiresAt,
+            "Oracle request has not expired yet"
+        );
+        closeExpiredRequest(key, index, airline, flight, timestamp);
+    }
+
+    function closeExpiredRequest(
+        bytes32 key,
+        uint8 index,
+        address airline,
+        string calldata flight,
+        uint256 timestamp
+    ) private {
+        oracleResponses[key].isOpen = false;
+        emit OracleRequestExpired(index, airline, flight, timestamp);
+    }
+
+    // Register an oracle with the contract, the fee is staked
+    function registerOracle() external payable requireIsOperational {
         // Require registration fee
         require(msg.value >= REGISTRATION_FEE, "Registration fee is required");
+        require(!oracles[msg.sender].isRegistered, "Oracle is already registered");
 
         uint8[3] memory indexes = generateIndexes(msg.sender);
 
-        oracles[msg.sender] = Oracle({isRegistered: true, indexes: indexes});
+        Oracle storage oracle = oracles[msg.sender];
+        oracle.isRegistered = true;
+        oracle.indexes = indexes;
+        oracle.stake = msg.value;
+        oracle.invitedBefore = invitationsOf(indexes);
+
+        emit OracleRegistered(msg.sender, indexes, msg.value);
+    }
+
+    /**
+     * @dev Stake, agreement with the consensus and participation of an oracle.
+     *      `invited` counts the requests made for its indexes since it registered
+     */
+    function getOracle(
+        address _oracle
+    ) external view returns (Oracle memory oracle, uint256 invited) {
+        oracle = oracles[_oracle];
+        if (oracle.isRegistered) {
+            invited = invitationsOf(oracle.indexes) - oracle.invitedBefore;
+        }
+    }
+
+    function topUpStake() external payable requireIsOperational {
+        Oracle storage oracle = oracles[msg.sender];
+        require(oracle.isRegistered, "Not registered as an oracle");
+        oracle.stake += msg.value;
+
+        emit OracleStaked(msg.sender, msg.value, oracle.stake);
+    }
+
+    /**
+     * @dev Asks for stake back, it can be withdrawn after STAKE_COOLDOWN blocks.
+     *      Asking again replaces the previous request and starts the cooldown over
+     */
+    function requestStakeWithdrawal(uint256 _value) external {
+        Oracle storage oracle = oracles[msg.sender];
+        require(_value > 0 && _value <= oracle.stake, "Not enough stake");
+        oracle.withdrawal = _value;
+        oracle.withdrawableAt = block.number + STAKE_COOLDOWN;
+
+        emit StakeWithdrawalRequested(msg.sender, _value, oracle.withdrawableAt);
+    }
+
+    function withdrawStake() external {
+        Oracle storage oracle = oracles[msg.sender];
+        require(oracle.withdrawal > 0, "No stake withdrawal requested");
+        require(block.number >= oracle.withdrawableAt, "Stake is still cooling down");
+        // Slashing during the cooldown may have left less
+        uint256 value = oracle.withdrawal < oracle.stake ? oracle.withdrawal : oracle.stake;
+        oracle.stake -= value;
+        oracle.withdrawal = 0;
+        payable(msg.sender).transfer(value);
+
+        emit StakeWithdrawn(msg.sender, value);
+    }
+
+    // Requests made per index so far, carried over by migrateFrom
+    function getIndexRequests() external view returns (uint256[10] memory) {
+        return indexRequests;
+    }
+
+    function invitationsOf(uint8[3] memory _indexes) private view returns (uint256) {
+        return indexRequests[_indexes[0]] + indexRequests[_indexes[1]] + indexRequests[_indexes[2]];
+    }
+
+    // Oracles that voted in the round are judged by the consensus, SLASH_STRIKES
+    // disagreements in a row cost SLASH_PERCENT of the stake and a suspension
+    function rateOracles(bytes32 _key, uint8 _consensus) private {
+        uint256 round = oracleResponses[_key].round;
+        for (uint8 code = STATUS_CODE_UNKNOWN; code <= STATUS_CODE_LATE_OTHER; code += 10) {
+            address[] storage voters = oracleResponses[_key].responses[round][code];
+            for (uint i = 0; i < voters.length; i++) {
+                Oracle storage oracle = oracles[voters[i]];
+                if (code == _consensus) {
+                    oracle.agreed++;
+                    oracle.strikes = 0;
+                    continue;
+                }
+                oracle.disagreed++;
+                if (++oracle.strikes >= SLASH_STRIKES) {
+                    uint256 value = (oracle.stake * SLASH_PERCENT) / 100;
+                    oracle.stake -= value;
+                    oracle.strikes = 0;
+                    oracle.suspendedUntil = block.number + SUSPENSION_BLOCKS;
+
+                    emit OracleSlashed(voters[i], value, oracle.suspendedUntil);
+                }
+            }
+        }
     }
 
     function getMyIndexes() external view returns (uint8[3] memory) {
@@ -361,6 +1024,8 @@ contract FlightSuretyApp {
                 (oracles[msg.sender].indexes[2] == index),
             "Index does not match oracle request"
         );
+        require(block.number > oracles[msg.sender].suspendedUntil, "Oracle is suspended");
+        require(oracles[msg.sender].stake >= MIN_STAKE, "Oracle stake is too low");
 
         bytes32 key = keccak256(
             abi.encodePacked(index, airline, flight, timestamp)
@@ -369,18 +1034,29 @@ contract FlightSuretyApp {
             oracleResponses[key].isOpen,
             "Flight or timestamp do not match oracle request"
         );
+        // The first response after the timeout closes the request instead of voting
+        if (block.number > oracleResponses[key].expiresAt) {
+            closeExpiredRequest(key, index, airline, flight, timestamp);
+            return;
+        }
 
-        oracleResponses[key].responses[statusCode].push(msg.sender);
+        uint256 round = oracleResponses[key].round;
+        require(!oracleResponses[key].responded[round][msg.sender], "Oracle has already responded");
+        oracleResponses[key].responded[round][msg.sender] = true;
+        oracles[msg.sender].answered++;
+        address[] storage votes = oracleResponses[key].responses[round][statusCode];
+        votes.push(msg.sender);
 
         // Information isn't considered verified until at least MIN_RESPONSES
         // oracles respond with the *** same *** information
         emit OracleReport(airline, flight, timestamp, statusCode);
-        if (
-            oracleResponses[key].responses[statusCode].length >= MIN_RESPONSES
-        ) {
-            emit FlightStatusInfo(airline, flight, timestamp, statusCode);
+        if (votes.length >= MIN_RESPONSES) {
+            // The first consensus decides, late responses are rejected
+            oracleResponses[key].isOpen = false;
+            emit OracleRequestClosed(index, airline, flight, timestamp, statusCode);
+            rateOracles(key, statusCode);
 
-            // Handle flight status as appropriate
+            // Handle flight status as appropriate, the oracles are rated either way
             processFlightStatus(airline, flight, timestamp, statusCode);
         }
     }
@@ -410,10 +1086,11 @@ contract FlightSuretyApp {
         uint8 maxValue = 10;
 
         // Pseudo random number...the incrementing nonce adds variation
+        // A chain younger than the nonce has no block that far back
         uint8 random = uint8(
             uint256(
                 keccak256(
-                    abi.encodePacked(blockhash(block.number - nonce++), account)
+                    abi.encodePacked(blockhash(block.number - (nonce++ % block.number)), account)
                 )
             ) % maxValue
         );
@@ -7,11 +7,23 @@ contract FlightSuretyData {
     /*                                       DATA VARIABLES                                     */
     /********************************************************************************************/
 
+    string public constant VERSION = "1.0.0";
+
     address private contractOwner; // Account used to deploy contract
     bool private operational; // Blocks all state changes throughout the contract if false
-    mapping(address => uint256) private funds;
+
+    // What an airline put in and owes. Its insurances are accepted as long as funds and
+    // premiums, less the claims credited, cover the highest payout of every active insurance
+    struct AirlineAccount {
+        uint256 funds;
+        uint256 premiums;
+        uint256 exposure;
+        uint256 claims;
+    }
+    mapping(address => AirlineAccount) private airlineAccounts;
 
     mapping(address => bool) private authorizedCallers;
+    address[] private authorizedCallerList;
 
     struct Airline {
         string name;
@@ -29,18 +41,47 @@ contract FlightSuretyData {
         uint8 statusCode;
         uint256 updatedTimestamp;
         address airline;
+        string flight;
+        uint256 departure;
     }
-    mapping(string => Flight) private flights;
+    // Flights are keyed by airline, flight number and scheduled departure, see getFlightKey
+    mapping(bytes32 => Flight) private flights;
+    bytes32[] private flightKeys;
 
     mapping(bytes32 => uint256) private insurances;
-    mapping(string => address[]) private flightInsurees;
+    // Payout percentages per delay cause, as they were when the insurance was bought
+    mapping(bytes32 => uint16[4]) private insuranceTerms;
+    mapping(bytes32 => address[]) private flightInsurees;
 
     mapping(address => uint256) private credits;
 
+    // What a passenger bought, kept once the insurance is settled
+    struct Policy {
+        bytes32 flightKey;
+        uint256 premium;
+        uint256 purchasedAt;
+        uint256 credited;
+        uint256 resolvedAt; // Zero while the insurance is active
+    }
+    mapping(address => Policy[]) private policies;
+    // Position of an insurance in the policies of its passenger
+    mapping(bytes32 => uint256) private policyIndexes;
+
     /********************************************************************************************/
     /*                                       EVENT DEFINITIONS                                  */
     /********************************************************************************************/
 
+    event AirlineRegistered(address airline, string name);
+    event AirlineFunded(address airline, uint256 value);
+    event FlightRegistered(bytes32 flightKey, string flight, address airline, uint256 departure);
+    event InsuranceBought(address passenger, bytes32 flightKey, uint256 value);
+    event InsureeCredited(address passenger, bytes32 flightKey, uint256 value);
+    event InsuranceExpired(address passenger, bytes32 flightKey);
+    event InsureePaid(address passenger, uint256 value);
+    event OperatingStatusChanged(bool mode);
+    event CallerAuthorized(address caller);
+    event CallerDeauthorized(address caller);
+
     /**
      * @dev Constructor
      *      The deploying account becomes contractOwner
@@ -48,7 +89,6 @@ contract FlightSuretyData {
     constructor() {
         contractOwner = msg.sender;
         operational = true;
-        registerAirline(msg.sender, "AIR1");
     }
 
     /********************************************************************************************/
@@ -101,18 +141,45 @@ contract FlightSuretyData {
      */
     function setOperatingStatus(bool _mode) external requireContractOwner {
         operational = _mode;
+
+        emit OperatingStatusChanged(_mode);
     }
 
     function authorizeCaller(
         address _authAddress
     ) external requireContractOwner {
+        require(!authorizedCallers[_authAddress], "Caller is already authorized");
         authorizedCallers[_authAddress] = true;
+        authorizedCallerList.push(_authAddress);
+
+        emit CallerAuthorized(_authAddress);
     }
 
     function deauthorizeCaller(
         address _authAddress
     ) external requireContractOwner {
+        require(authorizedCallers[_authAddress], "Caller is not authorized");
         delete authorizedCallers[_authAddress];
+        for (uint256 c = 0; c < authorizedCallerList.length; c++) {
+            if (authorizedCallerList[c] == _authAddress) {
+                authorizedCallerList[c] = authorizedCallerList[authorizedCallerList.length - 1];
+                authorizedCallerList.pop();
+                break;
+            }
+        }
+
+        emit CallerDeauthorized(_authAddress);
+    }
+
+    /**
+     * @dev Callers allowed to use the data contract, readable by anyone for the admin console
+     */
+    function getAuthorizedCallers() external view returns (address[] memory) {
+        return authorizedCallerList;
+    }
+
+    function getContractOwner() external view returns (address) {
+        return contractOwner;
     }
 
     function isAirline(
@@ -127,10 +194,21 @@ contract FlightSuretyData {
         return airlines[_airline].isFunded;
     }
 
+    /**
+     * @dev Key of a flight, the same flight number departing at another time is another flight
+     */
+    function getFlightKey(
+        address _airline,
+        string memory _flight,
+        uint256 _departure
+    ) public pure returns (bytes32) {
+        return keccak256(abi.encodePacked(_airline, _flight, _departure));
+    }
+
     function isFlightRegistered(
-        string memory _flight
+        bytes32 _flightKey
     ) external view requireIsOperational requireAuthCaller returns (bool) {
-        return flights[_flight].isRegistered;
+        return flights[_flightKey].isRegistered;
     }
 
     function getAirlinesRegistered()
@@ -151,24 +229,45 @@ contract FlightSuretyData {
         return numAirlinesFunded;
     }
 
-    function getFlightAirline(
-        string memory _name
-    ) external view requireAuthCaller returns (address) {
-        return flights[_name].airline;
-    }
-
     function getFlightInsurance(
         address _passenger,
-        string memory _flight
+        bytes32 _flightKey
     ) external view requireAuthCaller returns (uint256) {
-        bytes32 insurance = keccak256(abi.encodePacked(_passenger, _flight));
+        bytes32 insurance = keccak256(abi.encodePacked(_passenger, _flightKey));
         return insurances[insurance];
     }
 
+    function getInsuranceTerms(
+        address _passenger,
+        bytes32 _flightKey
+    ) external view requireAuthCaller returns (uint16[4] memory) {
+        bytes32 insurance = keccak256(abi.encodePacked(_passenger, _flightKey));
+        return insuranceTerms[insurance];
+    }
+
     function getFlightInsurees(
-        string memory _flight
+        bytes32 _flightKey
     ) external view requireAuthCaller returns (address[] memory) {
-        return flightInsurees[_flight];
+        return flightInsurees[_flightKey];
+    }
+
+    /**
+     * @dev Policies of a passenger in the order they were bought, with the flight of each
+     */
+    function getPolicies(
+        address _passenger
+    )
+        external
+        view
+        requireAuthCaller
+        returns (Policy[] memory, Flight[] memory)
+    {
+        Policy[] memory bought = policies[_passenger];
+        Flight[] memory insured = new Flight[](bought.length);
+        for (uint256 p = 0; p < bought.length; p++) {
+            insured[p] = flights[bought[p].flightKey];
+        }
+        return (bought, insured);
     }
 
     function getPassengerCredit(
@@ -183,6 +282,12 @@ contract FlightSuretyData {
         return airlines[_airline];
     }
 
+    function getAirlineAccount(
+        address _airline
+    ) external view requireAuthCaller returns (AirlineAccount memory) {
+        return airlineAccounts[_airline];
+    }
+
     function getAirlineAddress(
         string memory _name
     ) external view requireAuthCaller returns (address) {
@@ -190,9 +295,21 @@ contract FlightSuretyData {
     }
 
     function getFlight(
-        string memory _flight
+        bytes32 _flightKey
     ) external view requireAuthCaller returns (Flight memory) {
-        return flights[_flight];
+        return flights[_flightKey];
+    }
+
+    /**
+     * @dev Keys of all registered flights, in the order they were registered
+     */
+    function getFlightKeys()
+        external
+        view
+        requireAuthCaller
+        returns (bytes32[] memory)
+    {
+        return flightKeys;
     }
 
     /********************************************************************************************/
@@ -213,53 +330,87 @@ contract FlightSuretyData {
             "Airline is already registered"
         );
         require(
-            airlineNames[_name] == address(0), "Airline with such name already exits"
+            airlineNames[_name] == address(0), "Airline with such name already exists"
         );
 
         airlines[_newAirline] = Airline({name: _name, isRegistered: true, isFunded: false});
         airlineNames[_name] = _newAirline;
         numAirlinesRegistered += 1;
+
+        emit AirlineRegistered(_newAirline, _name);
     }
 
     function registerFlight(
         string memory _name,
         address _airlineAddress,
+        uint256 _departure,
         uint8 _status
-    ) external requireIsOperational requireAuthCaller {
-        require(!flights[_name].isRegistered, "Flight was already registered");
-        flights[_name] = Flight({
+    ) external requireIsOperational requireAuthCaller returns (bytes32) {
+        bytes32 key = getFlightKey(_airlineAddress, _name, _departure);
+        require(!flights[key].isRegistered, "Flight was already registered");
+        flights[key] = Flight({
             isRegistered: true,
             statusCode: _status,
             updatedTimestamp: block.timestamp,
-            airline: _airlineAddress
+            airline: _airlineAddress,
+            flight: _name,
+            departure: _departure
         });
+        flightKeys.push(key);
+
+        emit FlightRegistered(key, _name, _airlineAddress, _departure);
+        return key;
     }
 
     function updateFlightStatus(
-        string memory _name,
+        bytes32 _flightKey,
         uint8 _status,
         uint256 timestamp
     ) external requireIsOperational requireAuthCaller {
-        require(flights[_name].isRegistered, "Flight is not registered");
-        flights[_name].statusCode = _status;
-        flights[_name].updatedTimestamp = timestamp;
+        require(flights[_flightKey].isRegistered, "Flight is not registered");
+        flights[_flightKey].statusCode = _status;
+        flights[_flightKey].updatedTimestamp = timestamp;
     }
 
     /**
      * @dev Buy insurance for a flight
+     *      The payout terms are kept with the insurance, later changes don't apply to it
      *
      */
     function buy(
         address _passenger,
-        string memory _flight
+        bytes32 _flightKey,
+        uint16[4] memory _terms
     ) external payable requireIsOperational requireAuthCaller {
-        bytes32 insurance = keccak256(abi.encodePacked(_passenger, _flight));
+        bytes32 insurance = keccak256(abi.encodePacked(_passenger, _flightKey));
         require(
             insurances[insurance] == 0,
             "Insurance for the flight was already bought"
         );
+
+        AirlineAccount storage account = airlineAccounts[flights[_flightKey].airline];
+        uint256 maxPayout = maxPayoutOf(msg.value, _terms);
+        require(
+            account.exposure + maxPayout <=
+                account.funds + account.premiums + msg.value - account.claims,
+            "Airline funds can't cover this insurance"
+        );
+        account.premiums += msg.value;
+        account.exposure += maxPayout;
+
         insurances[insurance] = msg.value;
-        flightInsurees[_flight].push(_passenger);
+        insuranceTerms[insurance] = _terms;
+        flightInsurees[_flightKey].push(_passenger);
+        policyIndexes[insurance] = policies[_passenger].length;
+        policies[_passenger].push(Policy({
+            flightKey: _flightKey,
+            premium: msg.value,
+            purchasedAt: block.timestamp,
+            credited: 0,
+            resolvedAt: 0
+        }));
+
+        emit InsuranceBought(_passenger, _flightKey, msg.value);
     }
 
     /**
@@ -267,13 +418,58 @@ contract FlightSuretyData {
      */
     function creditInsuree(
         address _passenger,
-        string memory _flight,
+        bytes32 _flightKey,
         uint256 _value
     ) external requireAuthCaller requireIsOperational {
-        bytes32 insurance = keccak256(abi.encodePacked(_passenger, _flight));
+        bytes32 insurance = keccak256(abi.encodePacked(_passenger, _flightKey));
         require(insurances[insurance] > 0, "Insurance is not active");
+        AirlineAccount storage account = airlineAccounts[flights[_flightKey].airline];
+        account.claims += _value;
         credits[_passenger] += _value;
-        delete insurances[insurance];
+        policies[_passenger][policyIndexes[insurance]].credited = _value;
+        closeInsurance(_passenger, insurance, account);
+
+        emit InsureeCredited(_passenger, _flightKey, _value);
+    }
+
+    /**
+     *  @dev Closes an insurance without payout, e.g. the flight was on time
+     */
+    function expireInsurance(
+        address _passenger,
+        bytes32 _flightKey
+    ) external requireAuthCaller requireIsOperational {
+        bytes32 insurance = keccak256(abi.encodePacked(_passenger, _flightKey));
+        require(insurances[insurance] > 0, "Insurance is not active");
+        closeInsurance(_passenger, insurance, airlineAccounts[flights[_flightKey].airline]);
+
+        emit InsuranceExpired(_passenger, _flightKey);
+    }
+
+    // The insurance no longer adds to the exposure of its airline, its policy is resolved
+    function closeInsurance(
+        address _passenger,
+        bytes32 _insurance,
+        AirlineAccount storage _account
+    ) private {
+        policies[_passenger][policyIndexes[_insurance]].resolvedAt = block.timestamp;
+        _account.exposure -= maxPayoutOf(insurances[_insurance], insuranceTerms[_insurance]);
+        delete insurances[_insurance];
+        delete insuranceTerms[_insurance];
+    }
+
+    // Highest payout an insurance can get, whatever the delay
+    function maxPayoutOf(
+        uint256 _value,
+        uint16[4] memory _terms
+    ) private pure returns (uint256) {
+        uint16 percent = 0;
+        for (uint8 c = 0; c < _terms.length; c++) {
+            if (_terms[c] > percent) {
+                percent = _terms[c];
+            }
+        }
+        return (_value * percent) / 100;
     }
 
     /**
@@ -291,6 +487,8 @@ contract FlightSuretyData {
         );
         credits[_passenger] -= _value;
         payable(_passenger).transfer(_value);
+
+        emit InsureePaid(_passenger, _value);
     }
 
     /**
@@ -301,9 +499,14 @@ contract FlightSuretyData {
     function fund(
         address _airline
     ) public payable requireIsOperational requireAuthCaller {
-        funds[_airline] = msg.value;
-        airlines[_airline].isFunded = true;
-        numAirlinesFunded += 1;
+        airlineAccounts[_airline].funds += msg.value;
+        // Further funding only adds to the airline's funds
+        if (!airlines[_airline].isFunded) {
+            airlines[_airline].isFunded = true;
+            numAirlinesFunded += 1;
+        }
+
+        emit AirlineFunded(_airline, msg.value);
     }
 
     /**
@@ -1,22 +1,37 @@
 const FlightSuretyApp = artifacts.require("FlightSuretyApp");
 const FlightSuretyData = artifacts.require("FlightSuretyData");
-const fs = require('fs');
+const deployments = require('../config/deployments.js');
 
-module.exports = function(deployer) {
+module.exports = function(deployer, network) {
 
     deployer.deploy(FlightSuretyData)
     .then(() => {
         return deployer.deploy(FlightSuretyApp, FlightSuretyData.address)
-                .then(() => {
-                    let config = {
-                        localhost: {
-                            url: 'http://localhost:7545',
-                            dataAddress: FlightSuretyData.address,
-                            appAddress: FlightSuretyApp.address
+                .then(async () => {
+                    // The app contract is the only caller of the data contract, authorized once per deployment
+                    let dataContract = await FlightSuretyData.deployed();
+                    await dataContract.authorizeCaller(FlightSuretyApp.address);
+
+                    // Dry runs (--dry-run or the simulation before a live deploy) don't leave contracts behind
+                    if (network.endsWith('-fork')) return;
+
+                    let receipt = await web3.eth.getTransactionReceipt(FlightSuretyData.transactionHash);
+                    let appReceipt = await web3.eth.getTransactionReceipt(FlightSuretyApp.transactionHash);
+                    let appContract = await FlightSuretyApp.deployed();
+
+                    deployments.writeNetwork(deployments.configName(network), {
+                        url: deployments.networkUrl(network),
+                        chainId: await web3.eth.getChainId(),
+                        dataAddress: FlightSuretyData.address,
+                        appAddress: FlightSuretyApp.address,
+                        deployBlock: receipt.blockNumber,
+                        appDeployBlock: appReceipt.blockNumber,
+                        appAbiHash: deployments.abiHash(FlightSuretyApp.abi),
+                        versions: {
+                            FlightSuretyData: await dataContract.VERSION(),
+                            FlightSuretyApp: await appContract.VERSION()
                         }
-                    }
-                    fs.writeFileSync(__dirname + '/../src/dapp/config.json',JSON.stringify(config, null, '\t'), 'utf-8');
-                    fs.writeFileSync(__dirname + '/../src/server/config.json',JSON.stringify(config, null, '\t'), 'utf-8');
+                    });
                 });
     });
-}
\ No newline at end of file
+}
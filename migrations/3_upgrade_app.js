@@ -0,0 +1,164 @@
+const FlightSuretyApp = artifacts.require("FlightSuretyApp");
+const FlightSuretyData = artifacts.require("FlightSuretyData");
+const deployments = require('../config/deployments.js');
+
+// Oracles carried over per transaction, each one costs about 250k gas
+const ORACLE_BATCH = 20;
+
+/**
+ * Replaces the app contract of a deployment, the data contract and everything in it stays:
+ *
+ *     truffle migrate -f 3 --to 3 --network <name>
+ *
+ * The new app is authorized on the data contract and takes over the app-side state while the
+ * contracts are paused, so nothing changes in between. Only once the state is checked the old app
+ * is retired to the new one (which pauses it for good and moves the oracle stakes) and deauthorized,
+ * and the config points to the new one. Should taking over the state fail, the new app is
+ * deauthorized again and the old one carries on. An upgrade that stopped after the old app was
+ * retired picks up where it was when run again.
+ *
+ * Runs after 2_deploy_contracts too, there it finds the app up to date and does nothing.
+ */
+module.exports = function(deployer, network) {
+
+    deployer.then(async () => {
+        let name = deployments.configName(network);
+        let entry = deployments.readNetwork(name);
+        if (!entry) {
+            console.log(`No deployment for network "${name}" to upgrade, run truffle migrate first`);
+            return;
+        }
+        if (await web3.eth.getCode(entry.appAddress) === FlightSuretyApp.deployedBytecode) {
+            console.log(`App contract ${entry.appAddress} is up to date`);
+            return;
+        }
+
+        let dataContract = await FlightSuretyData.at(entry.dataAddress);
+        let previous = await FlightSuretyApp.at(entry.appAddress);
+        let previousVersion = await previous.VERSION();
+        let successor;
+        try {
+            successor = await previous.successor();
+        } catch (e) {
+            throw new Error(`App contract ${previous.address} (${previousVersion}) can't hand over its state, deploy from scratch with truffle migrate --reset`);
+        }
+        let callers = await dataContract.getAuthorizedCallers();
+        if (!callers.includes(previous.address) && successor === ZERO_ADDRESS) {
+            throw new Error(`App contract ${previous.address} is not authorized on the data contract ${dataContract.address}`);
+        }
+
+        let readState = () => snapshot(entry, dataContract, previous);
+        let next;
+        let state;
+        let appDeployBlock = entry.appDeployBlock || entry.deployBlock || 0;
+        if (successor === ZERO_ADDRESS) {
+            await deployer.deploy(FlightSuretyApp, dataContract.address);
+            next = await FlightSuretyApp.deployed();
+            appDeployBlock = (await web3.eth.getTransactionReceipt(FlightSuretyApp.transactionHash)).blockNumber;
+            state = await takeOver(dataContract, previous, next, readState);
+        } else {
+            console.log(`App contract ${previous.address} was already retired to ${successor}, carrying on`);
+            next = await FlightSuretyApp.at(successor);
+            state = await readState();
+            await migrate(previous, next, state);
+            await verify(previous, next, state);
+        }
+        if ((await dataContract.getAuthorizedCallers()).includes(previous.address)) {
+            await dataContract.deauthorizeCaller(previous.address);
+        }
+
+        // Dry runs (--dry-run or the simulation before a live deploy) don't leave contracts behind
+        if (network.endsWith('-fork')) return;
+
+        let version = await next.VERSION();
+        deployments.writeNetwork(name, {
+            ...entry,
+            appAddress: next.address,
+            appDeployBlock,
+            appAbiHash: deployments.abiHash(FlightSuretyApp.abi),
+            versions: { ...entry.versions, FlightSuretyApp: version },
+            previousApps: [...(entry.previousApps || []), { address: previous.address, version: previousVersion }]
+        });
+        console.log(`Upgraded the app contract from ${previousVersion} to ${version}, ${state.oracles.length} oracles carried over`);
+    });
+}
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Oracles registered with the old app (or carried over to it from the one before), their ratings
+// and the airlines whose payout terms carry over
+async function snapshot(entry, dataContract, previous) {
+    let registered = await previous.getPastEvents('OracleRegistered', { fromBlock: entry.appDeployBlock || entry.deployBlock || 0 });
+    let oracles = [...new Set(registered.map(event => event.returnValues.oracle))];
+    let airlines = (await dataContract.getPastEvents('AirlineRegistered', { fromBlock: entry.deployBlock || 0 }))
+        .map(event => event.returnValues.airline);
+    let ratings = await Promise.all(oracles.map(async oracle => rating(await previous.getOracle(oracle))));
+    return { airlines, oracles, ratings };
+}
+
+// Retiring the old app can't be undone, so that comes last, once the state was checked. The
+// contracts stay paused meanwhile, so the state read is the one carried over. A failed take over
+// leaves the old app as it was
+async function takeOver(dataContract, previous, next, readState) {
+    let paused = false;
+    let retired = false;
+    try {
+        if (await dataContract.isOperational({ from: previous.address })) {
+            await dataContract.setOperatingStatus(false);
+            paused = true;
+        }
+        let state = await readState();
+        await dataContract.authorizeCaller(next.address);
+        await migrate(previous, next, state);
+        await verify(previous, next, state);
+        console.log(`Retiring app contract ${previous.address} to ${next.address}`);
+        await previous.retire(next.address);
+        retired = true;
+        return state;
+    } finally {
+        if (!retired && (await dataContract.getAuthorizedCallers()).includes(next.address)) {
+            console.log(`Taking over the state failed, ${previous.address} stays the app contract`);
+            await dataContract.deauthorizeCaller(next.address);
+        }
+        if (paused) {
+            await dataContract.setOperatingStatus(true);
+        }
+    }
+}
+
+// The first call also takes over the airline candidates, payout terms and request timeout
+async function migrate(previous, next, { airlines, oracles }) {
+    for (let i = 0; i === 0 || i < oracles.length; i += ORACLE_BATCH) {
+        await next.migrateFrom(previous.address, airlines, oracles.slice(i, i + ORACLE_BATCH));
+    }
+}
+
+function rating({ oracle, invited }) {
+    return JSON.stringify([oracle.stake, oracle.indexes, oracle.answered, oracle.agreed, oracle.disagreed, oracle.strikes, oracle.withdrawal, String(invited)]);
+}
+
+async function verify(previous, next, { airlines, oracles, ratings }) {
+    let same = async (what, read) => {
+        let [before, after] = await Promise.all([read(previous), read(next)]);
+        if (JSON.stringify(before) !== JSON.stringify(after)) {
+            throw new Error(`${what} did not carry over: ${JSON.stringify(before)} became ${JSON.stringify(after)}, run the upgrade again`);
+        }
+    };
+    await same('Request timeout', app => app.getRequestTimeout().then(String));
+    await same('Airline candidates', app => app.getCandidates());
+    for (let candidate of await previous.getCandidates()) {
+        await same(`Votes for ${candidate}`, app => app.getCandidate(candidate).then(info => info.voters));
+    }
+    for (let airline of [ZERO_ADDRESS, ...airlines]) {
+        await same(`Payout terms of ${airline}`, app => app.getPayoutTerms(airline).then(terms => terms.map(String)));
+    }
+    for (let [i, oracle] of oracles.entries()) {
+        let after = rating(await next.getOracle(oracle));
+        if (after !== ratings[i]) {
+            throw new Error(`Oracle ${oracle} did not carry over: ${ratings[i]} became ${after}, run the upgrade again`);
+        }
+    }
+}
+
+// The steps of an upgrade, for the upgrade test
+Object.assign(module.exports, { snapshot, takeOver, migrate, verify });
@@ -2,21 +2,81 @@ import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
 import FlightSuretyData from '../../build/contracts/FlightSuretyData.json';
 import Config from './config.json';
 import Web3 from 'web3';
+import Wallet from './wallet';
+import TransactionTracker from './transaction';
+import FlightStatusFeed from './flightFeed';
+import { checkDeployment } from '../shared/deployment';
+import { importSchedule as importRows } from '../shared/schedule';
+
+// Mirrors the limits of FlightSuretyApp, so transactions that would revert are not sent at all
+const AIRLINE_FUND = Web3.utils.toWei('10', 'ether');
+const PASSENGER_MAX_INSURANCE = Web3.utils.toWei('1', 'ether');
+// Payout terms are percentages of the insurance value, one per delay status code in this order
+const DELAY_STATUS_CODES = [20, 30, 40, 50];
+const MAX_PAYOUT_PERCENT = 65535;
+// Data contract events of the admin audit trail
+const ADMIN_EVENTS = ['OperatingStatusChanged', 'CallerAuthorized', 'CallerDeauthorized'];
+// Matching oracle reports needed for a flight status
+export const MIN_RESPONSES = 3;
+// Where a policy stands, see getPolicies
+export const POLICY_ACTIVE = 'active';
+export const POLICY_CLAIMABLE = 'claimable';
+export const POLICY_NO_PAYOUT = 'no payout';
+export const POLICY_CREDITED = 'credited';
+export const POLICY_EXPIRED = 'expired';
 
 export default class Contract {
     constructor(network, callback) {
 
         this.config = Config[network];
-        this.web3 = new Web3(new Web3.providers.HttpProvider(this.config.url));
+        // An injected EIP-1193 wallet is preferred, the unlocked accounts of a local node are the dev fallback
+        this.provider = window.ethereum || null;
+        this.web3 = new Web3(this.provider || new Web3.providers.HttpProvider(this.config.url));
         this.flightSuretyApp = new this.web3.eth.Contract(FlightSuretyApp.abi, this.config.appAddress);
         this.flightSuretyData = new this.web3.eth.Contract(FlightSuretyData.abi, this.config.dataAddress);
-        this.initialize(callback);
+        this.wallet = new Wallet(this.provider, this.flightSuretyApp);
+        this.transactions = new TransactionTracker(this.config.confirmations || 1);
+        this.flightFeed = new FlightStatusFeed(this.web3, this.flightSuretyApp);
+        // Version of the app contract, known once the deployment is checked
+        this.version = null;
         this.owner = null;
         this.airlines = [];
         this.passengers = [];
+        this.initialize(callback);
+    }
+
+    get account() {
+        return this.wallet.account;
+    }
+
+    get roles() {
+        return this.wallet.roles;
     }
 
     initialize(callback) {
+        // A stale config or build would send transactions to the wrong app contract, nothing runs then
+        checkDeployment(this, 'dapp')
+            .then((version) => {
+                this.version = version;
+                this.connect(callback);
+            })
+            .catch((error) => callback(error));
+    }
+
+    connect(callback) {
+        // Transactions are sent from whichever account is active
+        this.wallet.onAccountChanged((account) => {
+            this.flightSuretyApp.options.from = account;
+            this.flightSuretyData.options.from = account;
+        });
+
+        if (this.provider) {
+            this.wallet.connect()
+                .catch((error) => console.log('Wallet connection was rejected', error))
+                .then(() => callback());
+            return;
+        }
+
         this.web3.eth.getAccounts((error, accts) => {
 
             this.owner = accts[0];
@@ -31,42 +91,432 @@ export default class Contract {
                 this.passengers.push(accts[counter++]);
             }
 
-            // authorize app contract to run data functions
-            this.flightSuretyData.methods.authorizeCaller(this.config.appAddress).send({ from: this.owner });
-
-            callback();
+            this.wallet.setAccount(this.owner).then(() => callback());
         });
     }
 
+    onAccountChanged(listener) {
+        this.wallet.onAccountChanged(listener);
+    }
+
+    onChainChanged(listener) {
+        this.wallet.onChainChanged(listener);
+    }
+
+    refreshRoles(callback) {
+        this.wallet.refreshRoles().then(() => callback && callback(this.roles));
+    }
+
     isOperational(callback) {
         let self = this;
         self.flightSuretyApp.methods
             .isOperational()
-            .call({ from: self.owner }, callback);
+            .call({ from: self.account }, callback);
     }
 
+    // Registered flights ({ key, airline, flight, departure, statusCode }), earliest departure first
+    getFlights(callback) {
+        let self = this;
+        let methods = self.flightSuretyApp.methods;
+        methods.getFlights().call()
+            .then((keys) => Promise.all(keys.map((key) => {
+                return methods.getFlight(key).call().then((flight) => ({
+                    key: key,
+                    airline: flight.airline,
+                    flight: flight.flight,
+                    departure: Number(flight.departure),
+                    statusCode: Number(flight.statusCode)
+                }));
+            })))
+            .then((flights) => flights.sort((a, b) => a.departure - b.departure))
+            .then((flights) => callback(null, flights), (error) => callback(error));
+    }
+
+    // The payload identifies the request, together with the block it was mined in it can be watched.
+    // Requests are made for the scheduled departure of a flight picked from getFlights
     fetchFlightStatus(flight, callback) {
         let self = this;
         let payload = {
-            airline: self.airlines[0],
-            flight: flight,
-            timestamp: Math.floor(Date.now() / 1000)
+            airline: flight && flight.airline,
+            flight: flight && flight.flight,
+            timestamp: flight && flight.departure
         }
+        self.transact('Fetch flight status', () => {
+            if (!flight) {
+                throw new Error('Pick a flight first');
+            }
+            if (payload.timestamp > now()) {
+                throw new Error(`${payload.flight} has not departed yet`);
+            }
+            return { method: self.flightSuretyApp.methods.fetchFlightStatus(payload.airline, payload.flight, payload.timestamp) };
+        }, (error, receipt) => {
+            callback(error, error ? payload : { ...payload, blockNumber: receipt.blockNumber });
+        });
+    }
+
+    watchFlightStatus(request, listener) {
+        return this.flightFeed.watch(request, listener);
+    }
+
+    // Once enough airlines exist this is a vote, the callback gets { registered, votes, votesRequired }
+    registerAirline(address, name, callback) {
+        this.submitAirline('Register airline', address, name, callback);
+    }
+
+    // Votes for a candidate under the name it was proposed with
+    voteAirline(candidate, callback) {
+        let self = this;
         self.flightSuretyApp.methods
-            .fetchFlightStatus(payload.airline, payload.flight, payload.timestamp)
-            .send({ from: self.owner }, (error, result) => {
-                callback(error, payload);
+            .getCandidate(candidate)
+            .call({ from: self.account }, (error, result) => {
+                if (error) {
+                    return callback(error);
+                }
+                self.submitAirline('Vote for airline', candidate, result.name, callback);
             });
     }
 
-    registerAirline(address, name, callback) {
-        let self = this
-        self.flightSuretyApp.methods.registerAirline(address, name).send(callback);
+    submitAirline(label, address, name, callback) {
+        let self = this;
+        self.transact(label, async () => {
+            if (!Web3.utils.isAddress(address)) {
+                throw new Error(`${address} is not a valid airline address`);
+            }
+            if (await self.flightSuretyApp.methods.hasVoted(address, self.account).call()) {
+                throw new Error('You have already voted for this airline');
+            }
+            return { method: self.flightSuretyApp.methods.registerAirline(address, name) };
+        }, (error, receipt) => {
+            callback(error, error ? null : votingResult(receipt));
+        });
+    }
+
+    // Candidate airlines with their voters, and the votes required to register one
+    getCandidates(callback) {
+        let self = this;
+        let methods = self.flightSuretyApp.methods;
+        Promise.all([methods.getCandidates().call(), methods.getVotesRequired().call()])
+            .then(([addresses, votesRequired]) => Promise.all(addresses.map((address) => {
+                return methods.getCandidate(address).call().then((candidate) => ({
+                    address: address,
+                    name: candidate.name,
+                    voters: candidate.voters,
+                    hasVoted: candidate.voters.some((voter) => sameAddress(voter, self.account))
+                }));
+            })).then((candidates) => ({ candidates, votesRequired: Number(votesRequired) })))
+            .then((result) => callback(null, result), (error) => callback(error));
+    }
+
+    // The departure is in unix seconds
+    registerFlight(name, departure, callback) {
+        let self = this;
+        self.transact('Register flight', () => {
+            if (!name) {
+                throw new Error('A flight needs a number');
+            }
+            if (isNaN(departure) || departure <= now()) {
+                throw new Error('Departure has to be in the future');
+            }
+            return { method: self.flightSuretyApp.methods.registerFlight(name, departure) };
+        }, callback);
+    }
+
+    /**
+     * Registers the rows of a parsed schedule as flights of the active airline, `batchSize` flights
+     * per transaction. Flights already registered or listed twice are skipped. `onRow` gets the
+     * result of every row once it is known, the callback all of them in file order.
+     */
+    importSchedule(rows, batchSize, onRow, callback) {
+        let self = this;
+        let methods = self.flightSuretyApp.methods;
+        let airline = self.account;
+        importRows(rows, {
+            now: now(),
+            batchSize,
+            onRow,
+            isRegistered: (row) => methods.isFlightRegistered(airline, row.flight, row.departure).call(),
+            // The tracker doesn't send a batch that would revert, its rows fail with the reason
+            registerBatch: (batch) => new Promise((resolve, reject) => {
+                let label = `Register flights ${batch[0].flight} to ${batch[batch.length - 1].flight}`;
+                self.transact(label, () => ({
+                    method: methods.registerFlights(batch.map((row) => row.flight), batch.map((row) => row.departure))
+                }), (error) => error ? reject(error) : resolve());
+            })
+        }).then((results) => callback(null, results), (error) => callback(error));
+    }
+
+    fund(amount, callback) {
+        let self = this;
+        self.transact('Fund airline', () => {
+            let value = toWei(amount);
+            if (value.lt(Web3.utils.toBN(AIRLINE_FUND))) {
+                throw new Error('Airlines have to fund at least 10 ether');
+            }
+            return { method: self.flightSuretyApp.methods.fund(), options: { value: value.toString() } };
+        }, callback);
     }
 
-    registerFlight(name, callback) {
-        let self = this
-        self.flightSuretyApp.methods.registerFlight(name).send(callback);
+    // Insures a flight picked from getFlights, sales close at its departure
+    buy(flight, amount, callback) {
+        let self = this;
+        self.transact('Buy insurance', () => {
+            let value = toWei(amount);
+            if (value.gt(Web3.utils.toBN(PASSENGER_MAX_INSURANCE))) {
+                throw new Error('Insurance is limited to 1 ether per flight');
+            }
+            if (!flight) {
+                throw new Error('Pick a flight first');
+            }
+            if (flight.departure <= now()) {
+                throw new Error(`Insurance sales for ${flight.flight} closed at departure`);
+            }
+            return {
+                method: self.flightSuretyApp.methods.buy(flight.airline, flight.flight, flight.departure),
+                options: { value: value.toString() }
+            };
+        }, callback);
+    }
+
+    // Payouts insurance bought now for a flight of the airline would get, [{ statusCode, multiplier }]
+    getPayoutTerms(airline, callback) {
+        let self = this;
+        self.flightSuretyApp.methods
+            .getPayoutTerms(airline)
+            .call({ from: self.account }, (error, result) => {
+                callback(error, error ? null : payoutTerms(result));
+            });
+    }
+
+    // Payout the active airline offers for a delay cause, e.g. 2 for twice the insurance value
+    setAirlinePayout(statusCode, multiplier, callback) {
+        let self = this;
+        self.transact('Set airline payout', () => ({
+            method: self.flightSuretyApp.methods.setAirlinePayout(self.account, statusCode, toPercent(multiplier))
+        }), callback);
+    }
+
+    // Default payout for a delay cause, owner only
+    setPayout(statusCode, multiplier, callback) {
+        let self = this;
+        self.transact('Set default payout', () => ({
+            method: self.flightSuretyApp.methods.setPayout(statusCode, toPercent(multiplier))
+        }), callback);
+    }
+
+    /**
+     * Insurances the active account bought, oldest first, as { key, flight, airline, departure,
+     * statusCode, premium, purchasedAt, credited, claimable, resolvedAt, state } with amounts in
+     * ether and times in unix seconds. Settled policies are credited or expired, the others
+     * are active until the flight status is known and then claimable or without payout.
+     */
+    getPolicies(callback) {
+        let self = this;
+        let methods = self.flightSuretyApp.methods;
+        methods.getPolicies(self.account).call()
+            .then(({ policies, flights }) => Promise.all(policies.map((policy, p) => {
+                let statusCode = Number(flights[p].statusCode);
+                let resolvedAt = Number(policy.resolvedAt);
+                // The payout of an unsettled policy is worked out by the contract once the status is known
+                let claimable = resolvedAt === 0 && statusCode !== 0
+                    ? methods.getClaimable(self.account, policy.flightKey).call()
+                    : Promise.resolve('0');
+                return claimable.then((claimable) => ({
+                    key: policy.flightKey,
+                    flight: flights[p].flight,
+                    airline: flights[p].airline,
+                    departure: Number(flights[p].departure),
+                    statusCode: statusCode,
+                    premium: Web3.utils.fromWei(policy.premium, 'ether'),
+                    purchasedAt: Number(policy.purchasedAt),
+                    credited: Web3.utils.fromWei(policy.credited, 'ether'),
+                    claimable: Web3.utils.fromWei(claimable, 'ether'),
+                    resolvedAt: resolvedAt,
+                    state: policyState(resolvedAt, policy.credited, statusCode, claimable)
+                }));
+            })))
+            .then((policies) => callback(null, policies), (error) => callback(error));
+    }
+
+    // Credits the payout of the active account's insurance once the flight status is known
+    claim(flight, callback) {
+        let self = this;
+        self.transact('Claim payout', async () => {
+            if (!flight) {
+                throw new Error('Pick a flight first');
+            }
+            if (flight.statusCode === 0) {
+                throw new Error(`The status of ${flight.flight} is not known yet`);
+            }
+            let claimable = await self.flightSuretyApp.methods.getClaimable(self.account, flight.key).call();
+            if (Web3.utils.toBN(claimable).isZero()) {
+                throw new Error(`Nothing to claim for ${flight.flight}`);
+            }
+            return { method: self.flightSuretyApp.methods.claim(flight.key) };
+        }, callback);
+    }
+
+    pay(amount, callback) {
+        let self = this;
+        self.transact('Pay out credit', () => {
+            let value = toWei(amount);
+            return new Promise((resolve, reject) => {
+                self.getCredit((error, credit) => {
+                    if (error) {
+                        return reject(error);
+                    }
+                    if (value.gt(Web3.utils.toBN(Web3.utils.toWei(credit, 'ether')))) {
+                        return reject(new Error(`Only ${credit} ether of credit is available`));
+                    }
+                    resolve({ method: self.flightSuretyApp.methods.pay(value.toString()) });
+                });
+            });
+        }, callback);
+    }
+
+    /**
+     * Runs every write through the transaction tracker. `build` validates the input and returns
+     * (or resolves to) the contract method and its send options; the callback gets the receipt.
+     */
+    transact(label, build, callback) {
+        let self = this;
+        Promise.resolve()
+            .then(build)
+            .catch((error) => {
+                throw self.transactions.reject(label, error);
+            })
+            .then(({ method, options }) => self.transactions.send(label, method, { from: self.account, ...options }))
+            .then((receipt) => callback(null, receipt), (error) => callback(error));
+    }
+
+    // Pauses (false) or resumes (true) every state change of the contracts, owner only
+    setOperatingStatus(mode, callback) {
+        let self = this;
+        self.transact(mode ? 'Resume contracts' : 'Pause contracts', () => ({
+            method: self.flightSuretyData.methods.setOperatingStatus(mode)
+        }), callback);
+    }
+
+    authorizeCaller(address, callback) {
+        let self = this;
+        self.transact('Authorize caller', () => {
+            if (!Web3.utils.isAddress(address)) {
+                throw new Error(`${address} is not a valid address`);
+            }
+            return { method: self.flightSuretyData.methods.authorizeCaller(address) };
+        }, callback);
+    }
+
+    deauthorizeCaller(address, callback) {
+        let self = this;
+        self.transact('Deauthorize caller', () => ({
+            method: self.flightSuretyData.methods.deauthorizeCaller(address)
+        }), callback);
+    }
+
+    // Operating status (null when the app contract can't read it) and the authorized callers
+    getAdminStatus(callback) {
+        let self = this;
+        Promise.all([
+            self.flightSuretyApp.methods.isOperational().call().catch(() => null),
+            self.flightSuretyData.methods.getAuthorizedCallers().call()
+        ])
+            .then(([operational, callers]) => callback(null, { operational, callers }), (error) => callback(error));
+    }
+
+    // Status and authorization changes since the deployment, oldest first
+    getAuditTrail(callback) {
+        let self = this;
+        let range = { fromBlock: self.config.deployBlock || 0, toBlock: 'latest' };
+        Promise.all(ADMIN_EVENTS.map((event) => self.flightSuretyData.getPastEvents(event, range)))
+            .then((logs) => [].concat(...logs).sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex))
+            .then((logs) => Promise.all(logs.map((log) => {
+                return self.web3.eth.getBlock(log.blockNumber).then((block) => ({
+                    event: log.event,
+                    values: log.returnValues,
+                    blockNumber: log.blockNumber,
+                    transactionHash: log.transactionHash,
+                    timestamp: Number(block.timestamp)
+                }));
+            })))
+            .then((trail) => callback(null, trail), (error) => callback(error));
+    }
+
+    // Funds, premiums, exposure, claims and what is available for new insurances of every airline, in ether
+    getSolvency(callback) {
+        let self = this;
+        let range = { fromBlock: self.config.deployBlock || 0, toBlock: 'latest' };
+        self.flightSuretyData.getPastEvents('AirlineRegistered', range)
+            .then((logs) => Promise.all(logs.map((log) => {
+                return self.flightSuretyApp.methods.getAirlineSolvency(log.returnValues.airline).call().then((solvency) => ({
+                    address: log.returnValues.airline,
+                    name: log.returnValues.name,
+                    funds: Web3.utils.fromWei(solvency.funds, 'ether'),
+                    premiums: Web3.utils.fromWei(solvency.premiums, 'ether'),
+                    exposure: Web3.utils.fromWei(solvency.exposure, 'ether'),
+                    claims: Web3.utils.fromWei(solvency.claims, 'ether'),
+                    available: Web3.utils.fromWei(solvency.available, 'ether')
+                }));
+            })))
+            .then((airlines) => callback(null, airlines), (error) => callback(error));
+    }
+
+    // Credit of the active account in ether
+    getCredit(callback) {
+        let self = this;
+        self.flightSuretyApp.methods
+            .getPassengerCredit(self.account)
+            .call({ from: self.account }, (error, result) => {
+                callback(error, error ? null : Web3.utils.fromWei(result, 'ether'));
+            });
+    }
+
+}
+
+function policyState(resolvedAt, credited, statusCode, claimable) {
+    if (resolvedAt > 0) {
+        return Web3.utils.toBN(credited).isZero() ? POLICY_EXPIRED : POLICY_CREDITED;
+    }
+    if (statusCode === 0) {
+        return POLICY_ACTIVE;
+    }
+    return Web3.utils.toBN(claimable).isZero() ? POLICY_NO_PAYOUT : POLICY_CLAIMABLE;
+}
+
+// Converts an ether amount entered by the user to wei, only positive amounts are accepted
+function toWei(amount) {
+    if (amount === '' || isNaN(Number(amount)) || Number(amount) <= 0) {
+        throw new Error(`${amount || 'An empty amount'} is not a valid ether amount`);
+    }
+    return Web3.utils.toBN(Web3.utils.toWei(String(amount), 'ether'));
+}
+
+function toPercent(multiplier) {
+    let percent = Math.round(Number(multiplier) * 100);
+    if (multiplier === '' || isNaN(percent) || percent < 0 || percent > MAX_PAYOUT_PERCENT) {
+        throw new Error(`${multiplier || 'An empty multiplier'} is not a valid payout multiplier`);
+    }
+    return percent;
+}
+
+function payoutTerms(percents) {
+    return DELAY_STATUS_CODES.map((statusCode, i) => ({ statusCode, multiplier: Number(percents[i]) / 100 }));
+}
+
+function now() {
+    return Math.floor(Date.now() / 1000);
+}
+
+// Without an AirlineVoted event the airline was registered right away
+function votingResult(receipt) {
+    let vote = receipt.events && receipt.events.AirlineVoted;
+    if (!vote) {
+        return { registered: true, votes: 0, votesRequired: 0 };
     }
+    let votes = Number(vote.returnValues.votes);
+    let votesRequired = Number(vote.returnValues.votesRequired);
+    return { registered: votes >= votesRequired, votes, votesRequired };
+}
 
-}
\ No newline at end of file
+function sameAddress(a, b) {
+    return Boolean(a && b) && a.toLowerCase() === b.toLowerCase();
+}
@@ -0,0 +1,94 @@
+export const FEED_REPORT = 'report';
+export const FEED_CONSENSUS = 'consensus';
+export const FEED_EXPIRED = 'expired';
+export const FEED_ERROR = 'error';
+
+// Mirrors the status codes of FlightSuretyApp
+export const STATUS_LABELS = {
+    0: 'Unknown',
+    10: 'On time',
+    20: 'Late (airline)',
+    30: 'Late (weather)',
+    40: 'Late (technical)',
+    50: 'Late (other)'
+};
+
+/**
+ * Follows the outcome of oracle requests by polling the contract events after the block the
+ * request was mined in. Works with any provider, injected wallets included, since it only
+ * needs eth_getLogs. The events carry no request id, so they are matched on airline, flight
+ * and timestamp.
+ */
+export default class FlightStatusFeed {
+    constructor(web3, flightSuretyApp, pollInterval = 2000) {
+        this.web3 = web3;
+        this.flightSuretyApp = flightSuretyApp;
+        this.pollInterval = pollInterval;
+    }
+
+    /**
+     * Calls `listener` with one timeline entry per oracle report, expired request and the consensus.
+     * A request that expires is usually made again for the same flight, so watching goes on until
+     * the consensus, or until the returned function is called. Polling goes on when the events
+     * can't be read, an error entry with the `message` tells about the first failure in a row.
+     */
+    watch({ airline, flight, timestamp, blockNumber }, listener) {
+        let matches = (values) => values.airline.toLowerCase() === airline.toLowerCase()
+            && values.flight === flight
+            && String(values.timestamp) === String(timestamp);
+        let nextBlock = blockNumber;
+        let timer = null;
+        let stopped = false;
+        let failing = false;
+
+        let poll = async () => {
+            try {
+                let head = await this.web3.eth.getBlockNumber();
+                if (head >= nextBlock) {
+                    let range = { fromBlock: nextBlock, toBlock: head };
+                    let [reports, expired, statuses] = await Promise.all([
+                        this.flightSuretyApp.getPastEvents('OracleReport', range),
+                        this.flightSuretyApp.getPastEvents('OracleRequestExpired', range),
+                        this.flightSuretyApp.getPastEvents('FlightStatusInfo', range)
+                    ]);
+                    nextBlock = head + 1;
+
+                    let events = reports.concat(expired)
+                        .filter((log) => matches(log.returnValues))
+                        .sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+                    for (let log of events) {
+                        if (log.event === 'OracleRequestExpired') {
+                            listener(entry(FEED_EXPIRED, log, { index: Number(log.returnValues.index) }));
+                        } else {
+                            listener(entry(FEED_REPORT, log, { status: Number(log.returnValues.status) }));
+                        }
+                    }
+                    let consensus = statuses.find((log) => matches(log.returnValues));
+                    if (consensus) {
+                        stopped = true;
+                        listener(entry(FEED_CONSENSUS, consensus, { status: Number(consensus.returnValues.status) }));
+                    }
+                }
+                failing = false;
+            } catch (e) {
+                if (!failing && !stopped) {
+                    listener({ kind: FEED_ERROR, message: e.message });
+                }
+                failing = true;
+            }
+            if (!stopped) {
+                timer = setTimeout(poll, this.pollInterval);
+            }
+        };
+        poll();
+
+        return () => {
+            stopped = true;
+            clearTimeout(timer);
+        };
+    }
+}
+
+function entry(kind, log, details) {
+    return { kind, blockNumber: log.blockNumber, transactionHash: log.transactionHash, ...details };
+}
@@ -1,6 +1,10 @@
 
 import DOM from './dom';
-import Contract from './contract';
+import Contract, { MIN_RESPONSES, POLICY_ACTIVE, POLICY_CLAIMABLE, POLICY_NO_PAYOUT, POLICY_CREDITED } from './contract';
+import selectNetwork from './network';
+import { FEED_REPORT, FEED_CONSENSUS, FEED_EXPIRED, FEED_ERROR, STATUS_LABELS } from './flightFeed';
+import { ROLE_OWNER, ROLE_FUNDED_AIRLINE } from './roles';
+import { parseSchedule, IMPORT_FAILED } from '../shared/schedule';
 import './flightsurety.css';
 
 
@@ -8,7 +12,129 @@ import './flightsurety.css';
 
     let result = null;
 
-    let contract = new Contract('localhost', () => {
+    let network = await selectNetwork();
+    let contract = new Contract(network, (error) => {
+
+        if (error) {
+            return refuse(error);
+        }
+
+        // Active account, what it may do and its insurance credit
+        let credit = null;
+        let refreshCredit = () => {
+            contract.getCredit((error, result) => {
+                credit = error ? null : result;
+                DOM.elid('passenger-credit').textContent = error ? '-' : `${credit} ether`;
+            });
+        };
+        // Policies of the active account, the claimable ones can be claimed from the list
+        let refreshPolicies = () => {
+            contract.getPolicies((error, policies) => {
+                if (error) {
+                    return console.log('Could not load policies', error);
+                }
+                showPolicies(policies, (policy) => {
+                    contract.claim(policy, () => {
+                        refreshPolicies();
+                        refreshCredit();
+                        refreshSolvency();
+                    });
+                });
+            });
+        };
+        let refreshSolvency = () => {
+            contract.getSolvency((error, airlines) => {
+                if (error) {
+                    return console.log('Could not load airline solvency', error);
+                }
+                showSolvency(airlines);
+            });
+        };
+        // Candidate airlines, only funded airlines may vote and only once per candidate
+        let refreshCandidates = () => {
+            contract.getCandidates((error, result) => {
+                if (error) {
+                    return console.log('Could not load candidate airlines', error);
+                }
+                let canVote = contract.roles.includes(ROLE_FUNDED_AIRLINE);
+                showCandidates(result, canVote, (candidate) => {
+                    contract.voteAirline(candidate, (error, vote) => {
+                        if (!error) {
+                            showVote(vote);
+                        }
+                        refreshCandidates();
+                    });
+                });
+            });
+        };
+        // Owner only: operational status, authorized callers and their history
+        let refreshAdmin = () => {
+            let isOwner = contract.roles.includes(ROLE_OWNER);
+            DOM.elid('admin-console').style.display = isOwner ? '' : 'none';
+            if (!isOwner) return;
+            contract.getAdminStatus((error, status) => {
+                if (error) {
+                    return console.log('Could not load admin status', error);
+                }
+                showAdminStatus(status, (caller) => contract.deauthorizeCaller(caller, refreshAdmin));
+            });
+            contract.getAuditTrail((error, trail) => {
+                if (error) {
+                    return console.log('Could not load audit trail', error);
+                }
+                showAuditTrail(trail);
+            });
+        };
+        // Registered flights, departed ones can be asked for their status and the others insured
+        let flights = [];
+        let refreshFlights = () => {
+            contract.getFlights((error, result) => {
+                if (error) {
+                    return console.log('Could not load flights', error);
+                }
+                flights = result;
+                showFlights(flights);
+                refreshTerms();
+            });
+        };
+        let pickedFlight = (id) => flights.find((flight) => flight.key === DOM.elid(id).value);
+        // Payouts of the flight picked for insurance, and the ones the active airline offers
+        let refreshTerms = () => {
+            let flight = pickedFlight('buy-insurance-flight');
+            if (!flight) {
+                return showTerms('buy-insurance-terms', null);
+            }
+            contract.getPayoutTerms(flight.airline, (error, terms) => showTerms('buy-insurance-terms', error ? null : terms));
+        };
+        let refreshAirlineTerms = () => {
+            let isOwner = contract.roles.includes(ROLE_OWNER);
+            DOM.elid('payout-default').style.display = isOwner ? '' : 'none';
+            contract.getPayoutTerms(contract.account, (error, terms) => showTerms('payout-terms', error ? null : terms));
+        };
+        showAccount(contract.account, contract.roles);
+        refreshFlights();
+        refreshAirlineTerms();
+        refreshCredit();
+        refreshPolicies();
+        refreshSolvency();
+        refreshCandidates();
+        refreshAdmin();
+        contract.onAccountChanged((account, roles) => {
+            showAccount(account, roles);
+            refreshAirlineTerms();
+            refreshCredit();
+            refreshPolicies();
+            refreshCandidates();
+            refreshAdmin();
+        });
+
+        DOM.elid('admin-pause').addEventListener('click', () => contract.setOperatingStatus(false, refreshAdmin));
+        DOM.elid('admin-resume').addEventListener('click', () => contract.setOperatingStatus(true, refreshAdmin));
+        DOM.elid('admin-authorize').addEventListener('click', () => {
+            contract.authorizeCaller(DOM.elid('admin-caller-address').value, refreshAdmin);
+        });
+        // Another chain means other contract addresses, start over
+        contract.onChainChanged(() => window.location.reload());
 
         // Read transaction
         contract.isOperational((error, result) => {
@@ -17,12 +143,43 @@ import './flightsurety.css';
         });
 
 
+        // Every write shows up in the transaction feed, with its state, gas and revert reason
+        contract.transactions.onUpdate(showTransaction);
+
+        // Flights depart while the page is open, the pickers are brought up to date when opened
+        DOM.elid('status-flight').addEventListener('focus', refreshFlights);
+        DOM.elid('buy-insurance-flight').addEventListener('focus', refreshFlights);
+        DOM.elid('buy-insurance-flight').addEventListener('change', refreshTerms);
+
+        // Payout terms, later changes don't apply to insurance already bought
+        let afterPayout = () => {
+            refreshAirlineTerms();
+            refreshTerms();
+        };
+        DOM.elid('payout-airline').addEventListener('click', () => {
+            let statusCode = Number(DOM.elid('payout-status').value);
+            contract.setAirlinePayout(statusCode, DOM.elid('payout-multiplier').value, afterPayout);
+        });
+        DOM.elid('payout-default').addEventListener('click', () => {
+            let statusCode = Number(DOM.elid('payout-status').value);
+            contract.setPayout(statusCode, DOM.elid('payout-multiplier').value, afterPayout);
+        });
+
         // User-submitted transaction
         DOM.elid('submit-oracle').addEventListener('click', () => {
-            let flight = DOM.elid('flight-number').value;
+            let flight = pickedFlight('status-flight');
             // Write transaction
-            contract.fetchFlightStatus(flight, (error, result) => {
-                display('Oracles', 'Trigger oracles', [{ label: 'Fetch Flight Status', error: error, value: result.flight + ' ' + result.timestamp }]);
+            contract.fetchFlightStatus(flight, (error, request) => {
+                if (!error) {
+                    // Live timeline of the oracle votes and the consensus, which may make policies claimable
+                    let timeline = showTimeline(request);
+                    contract.watchFlightStatus(request, (entry) => {
+                        timeline(entry);
+                        if (entry.kind === FEED_CONSENSUS) {
+                            refreshPolicies();
+                        }
+                    });
+                }
             });
         });
 
@@ -31,25 +188,331 @@ import './flightsurety.css';
             let name = DOM.elid('reg-airline-name').value;
             let address = DOM.elid('reg-airline-address').value;
 
-            contract.registerAirline(address, name, (error, result) => {
-                display('Airlines', 'Register airline', [{ label: 'Airline', error: error, value: result }]);
+            contract.registerAirline(address, name, (error, vote) => {
+                if (!error) {
+                    showVote(vote);
+                }
+                refreshCandidates();
             });
         });
 
         // Register Flight
         DOM.elid('register-flight').addEventListener('click', () => {
             let name = DOM.elid('reg-flight-number').value;
+            // The picker gives local time, the contract takes unix seconds
+            let departure = Math.floor(new Date(DOM.elid('reg-flight-departure').value).getTime() / 1000);
+
+            contract.registerFlight(name, departure, (error) => {
+                if (!error) {
+                    refreshFlights();
+                }
+            });
+        });
 
-            contract.registerFlight(name, (error, result) => {
-                display('Flights', 'Register flight', [{ label: 'Flight', error: error, value: result }]);
+        // Import Flight Schedule, the format follows the file extension
+        DOM.elid('import-schedule').addEventListener('click', () => {
+            let file = DOM.elid('schedule-file').files[0];
+            let batchSize = Number(DOM.elid('schedule-batch-size').value);
+            if (!file) {
+                return showScheduleError('Pick a schedule file first');
+            }
+
+            file.text()
+                .then((content) => parseSchedule(content, file.name.toLowerCase().endsWith('.csv') ? 'csv' : 'json'))
+                .then((rows) => {
+                    let results = [];
+                    showScheduleResults(results);
+                    contract.importSchedule(rows, batchSize, (result) => {
+                        results.push(result);
+                        showScheduleResults(results);
+                    }, (error, results) => {
+                        if (error) {
+                            return showScheduleError(error.message);
+                        }
+                        showScheduleResults(results);
+                        refreshFlights();
+                    });
+                })
+                .catch((error) => showScheduleError(`${file.name} is not a schedule: ${error.message}`));
+        });
+
+        // Fund Airline
+        DOM.elid('fund-airline').addEventListener('click', () => {
+            let amount = DOM.elid('fund-airline-amount').value;
+
+            // A funded airline may vote, the account listener renders its roles and the candidates again
+            contract.fund(amount, () => {
+                refreshSolvency();
+                contract.refreshRoles();
+            });
+        });
+
+        // Buy Insurance
+        DOM.elid('buy-insurance').addEventListener('click', () => {
+            let flight = pickedFlight('buy-insurance-flight');
+            let amount = DOM.elid('buy-insurance-amount').value;
+
+            contract.buy(flight, amount, () => {
+                refreshPolicies();
+                refreshSolvency();
             });
         });
+
+        // Pay Out
+        DOM.elid('pay-out').addEventListener('click', () => {
+            let amount = DOM.elid('pay-out-amount').value;
+
+            contract.pay(amount, () => refreshCredit());
+        });
+        DOM.elid('pay-out-all').addEventListener('click', () => {
+            contract.pay(credit, () => refreshCredit());
+        });
     });
 
 
 })();
 
 
+function showAccount(account, roles) {
+    let text = account ? `${account} (${roles.join(', ') || 'unknown role'})` : 'Not connected';
+    DOM.elid('active-account').textContent = text;
+}
+
+// One row per transaction, updated in place as it moves from pending to mined and confirmed
+function showTransaction(tx) {
+    let id = `transaction-${tx.id}`;
+    let row = DOM.elid(id);
+    if (!row) {
+        row = DOM.div({ id: id, className: 'row' });
+        let feed = DOM.elid('transactions');
+        feed.insertBefore(row, feed.firstChild);
+    }
+    let details = [tx.hash, tx.gasUsed !== null ? `gas used ${tx.gasUsed}` : null, tx.reason].filter(Boolean).join(' - ');
+    row.innerHTML = '';
+    row.appendChild(DOM.div({ className: 'col-sm-3 field' }, tx.label));
+    row.appendChild(DOM.div({ className: `col-sm-2 field-value tx-${tx.state}` }, tx.state));
+    row.appendChild(DOM.div({ className: 'col-sm-7 field-value tx-details' }, details));
+}
+
+function showFlights(flights) {
+    let now = Date.now() / 1000;
+    showFlightPicker('status-flight', flights.filter((flight) => flight.departure <= now), 'No flight has departed yet');
+    showFlightPicker('buy-insurance-flight', flights.filter((flight) => flight.departure > now), 'No flights open for insurance');
+}
+
+// Options are keyed by the flight key, the selection is kept while the flight is still listed
+function showFlightPicker(id, flights, empty) {
+    let picker = DOM.elid(id);
+    let selected = picker.value;
+    picker.innerHTML = '';
+    if (flights.length === 0) {
+        picker.appendChild(DOM.option({ value: '' }, empty));
+    }
+    flights.forEach((flight) => {
+        let departure = new Date(flight.departure * 1000).toLocaleString();
+        picker.appendChild(DOM.option({ value: flight.key, title: flight.airline }, `${flight.flight} - ${departure}`));
+    });
+    if (flights.some((flight) => flight.key === selected)) {
+        picker.value = selected;
+    }
+}
+
+function showTerms(id, terms) {
+    let list = DOM.elid(id);
+    list.innerHTML = '';
+    if (!terms) {
+        list.appendChild(DOM.div({ className: 'row' }, '-'));
+        return;
+    }
+    terms.forEach((term) => {
+        let row = list.appendChild(DOM.div({ className: 'row' }));
+        row.appendChild(DOM.div({ className: 'col-sm-4 field' }, STATUS_LABELS[term.statusCode]));
+        row.appendChild(DOM.div({ className: 'col-sm-8 field-value' }, term.multiplier ? `${term.multiplier}x the insurance value` : 'No payout'));
+    });
+}
+
+function showPolicies(policies, claim) {
+    let list = DOM.elid('policies');
+    list.innerHTML = '';
+    if (policies.length === 0) {
+        list.appendChild(DOM.div({ className: 'row' }, 'No insurance bought from this account'));
+        return;
+    }
+    let header = list.appendChild(DOM.div({ className: 'row field' }));
+    ['Flight', 'Premium', 'Bought', 'Status', 'Payout', ''].forEach((label) => {
+        header.appendChild(DOM.div({ className: 'col-sm-2' }, label));
+    });
+    policies.forEach((policy) => {
+        let row = list.appendChild(DOM.div({ className: 'row' }));
+        let departure = new Date(policy.departure * 1000).toLocaleString();
+        row.appendChild(DOM.div({ className: 'col-sm-2 field', title: `${policy.airline}, departs ${departure}` }, policy.flight));
+        row.appendChild(DOM.div({ className: 'col-sm-2 field-value' }, `${policy.premium} ether`));
+        row.appendChild(DOM.div({ className: 'col-sm-2 field-value' }, new Date(policy.purchasedAt * 1000).toLocaleString()));
+        row.appendChild(DOM.div({ className: 'col-sm-2 field-value' }, policy.statusCode ? STATUS_LABELS[policy.statusCode] : 'Awaiting status'));
+        row.appendChild(DOM.div({ className: 'col-sm-2 field-value' }, policyPayout(policy)));
+        if (policy.state === POLICY_CLAIMABLE) {
+            let button = DOM.button({ className: 'btn btn-primary btn-sm col-sm-2' }, 'Claim');
+            button.addEventListener('click', () => claim(policy));
+            row.appendChild(button);
+        }
+    });
+}
+
+// Rows of an imported schedule, in file order with what became of them
+function showScheduleResults(results) {
+    let list = DOM.elid('schedule-results');
+    list.innerHTML = '';
+    let header = list.appendChild(DOM.div({ className: 'row field' }));
+    ['Row', 'Flight', 'Route', 'Departure', 'Result'].forEach((label) => {
+        header.appendChild(DOM.div({ className: label === 'Result' ? 'col-sm-4' : 'col-sm-2' }, label));
+    });
+    results.slice().sort((a, b) => a.row - b.row).forEach((result) => {
+        let row = list.appendChild(DOM.div({ className: 'row' }));
+        let departure = isNaN(result.departure) ? '-' : new Date(result.departure * 1000).toLocaleString();
+        row.appendChild(DOM.div({ className: 'col-sm-2 field' }, String(result.row)));
+        row.appendChild(DOM.div({ className: 'col-sm-2 field-value' }, result.flight || '-'));
+        row.appendChild(DOM.div({ className: 'col-sm-2 field-value' }, result.route || '-'));
+        row.appendChild(DOM.div({ className: 'col-sm-2 field-value' }, departure));
+        row.appendChild(DOM.div({
+            className: `col-sm-4 ${result.status === IMPORT_FAILED ? 'tx-failed' : 'field-value'}`
+        }, result.reason ? `${result.status}: ${result.reason}` : result.status));
+    });
+}
+
+function showScheduleError(message) {
+    let list = DOM.elid('schedule-results');
+    list.innerHTML = '';
+    list.appendChild(DOM.div({ className: 'row tx-failed' }, message));
+}
+
+function policyPayout(policy) {
+    switch (policy.state) {
+        case POLICY_ACTIVE:
+            return '-';
+        case POLICY_CLAIMABLE:
+            return `${policy.claimable} ether to claim`;
+        case POLICY_NO_PAYOUT:
+            return 'No payout';
+        case POLICY_CREDITED:
+            return `${policy.credited} ether credited ${new Date(policy.resolvedAt * 1000).toLocaleDateString()}`;
+        default:
+            return 'Expired without payout';
+    }
+}
+
+function showSolvency(airlines) {
+    let list = DOM.elid('solvency');
+    list.innerHTML = '';
+    let header = list.appendChild(DOM.div({ className: 'row field' }));
+    ['Airline', 'Funds', 'Premiums', 'Exposure', 'Claims', 'Available'].forEach((label) => {
+        header.appendChild(DOM.div({ className: 'col-sm-2' }, label));
+    });
+    airlines.forEach((airline) => {
+        let row = list.appendChild(DOM.div({ className: 'row' }));
+        row.appendChild(DOM.div({ className: 'col-sm-2 field', title: airline.address }, airline.name));
+        [airline.funds, airline.premiums, airline.exposure, airline.claims, airline.available].forEach((value) => {
+            row.appendChild(DOM.div({ className: 'col-sm-2 field-value' }, `${value} ether`));
+        });
+    });
+}
+
+function showCandidates({ candidates, votesRequired }, canVote, vote) {
+    DOM.elid('votes-required').textContent = `A candidate is registered with ${votesRequired} votes, half of the registered airlines`;
+    let list = DOM.elid('candidates');
+    list.innerHTML = '';
+    if (candidates.length === 0) {
+        list.appendChild(DOM.div({ className: 'row' }, 'No airlines are waiting for votes'));
+    }
+    candidates.forEach((candidate) => {
+        let row = list.appendChild(DOM.div({ className: 'row top-20' }));
+        row.appendChild(DOM.div({ className: 'col-sm-3 field' }, candidate.name));
+        row.appendChild(DOM.div({ className: 'col-sm-5 field-value tx-details' }, candidate.address));
+        row.appendChild(DOM.div({ className: 'col-sm-2 field-value', title: candidate.voters.join('\n') }, `${candidate.voters.length}/${votesRequired} votes`));
+        let button = DOM.button({ className: 'btn btn-primary btn-sm col-sm-2' }, candidate.hasVoted ? 'Voted' : 'Vote');
+        button.disabled = !canVote || candidate.hasVoted;
+        button.addEventListener('click', () => vote(candidate.address));
+        row.appendChild(button);
+    });
+}
+
+function showAdminStatus({ operational, callers }, deauthorize) {
+    DOM.elid('admin-operational').textContent = operational === null ? 'Unknown' : operational ? 'Running' : 'Paused';
+    let list = DOM.elid('admin-callers');
+    list.innerHTML = '';
+    if (callers.length === 0) {
+        list.appendChild(DOM.div({ className: 'row' }, 'No authorized callers'));
+    }
+    callers.forEach((caller) => {
+        let row = list.appendChild(DOM.div({ className: 'row' }));
+        row.appendChild(DOM.div({ className: 'col-sm-10 field-value tx-details' }, caller));
+        let button = DOM.button({ className: 'btn btn-primary btn-sm col-sm-2' }, 'Remove');
+        button.addEventListener('click', () => deauthorize(caller));
+        row.appendChild(button);
+    });
+}
+
+function showAuditTrail(trail) {
+    let descriptions = {
+        OperatingStatusChanged: (values) => values.mode ? 'Contracts resumed' : 'Contracts paused',
+        CallerAuthorized: (values) => `Authorized ${values.caller}`,
+        CallerDeauthorized: (values) => `Deauthorized ${values.caller}`
+    };
+    let list = DOM.elid('admin-audit');
+    list.innerHTML = '';
+    trail.slice().reverse().forEach((entry) => {
+        let row = list.appendChild(DOM.div({ className: 'row' }));
+        row.appendChild(DOM.div({ className: 'col-sm-4 field' }, new Date(entry.timestamp * 1000).toLocaleString()));
+        row.appendChild(DOM.div({ className: 'col-sm-8 field-value tx-details', title: entry.transactionHash }, descriptions[entry.event](entry.values)));
+    });
+}
+
+function showVote(vote) {
+    let value = vote.registered ? 'Registered' : `Vote counted, ${vote.votes} of ${vote.votesRequired} votes`;
+    display('Airlines', 'Register airline', [{ label: 'Airline', value: value }]);
+}
+
+// Adds a section for an oracle request and returns the listener that appends its timeline entries
+function showTimeline(request) {
+    let section = DOM.section();
+    section.appendChild(DOM.h2(`Flight ${request.flight}`));
+    section.appendChild(DOM.h5(`Departed ${new Date(request.timestamp * 1000).toLocaleString()}, waiting for oracle votes`));
+    DOM.elid('display-wrapper').append(section);
+
+    let votes = {};
+    let addRow = (label, value) => {
+        let row = section.appendChild(DOM.div({ className: 'row' }));
+        row.appendChild(DOM.div({ className: 'col-sm-4 field' }, label));
+        row.appendChild(DOM.div({ className: 'col-sm-8 field-value' }, value));
+    };
+
+    return (entry) => {
+        let status = STATUS_LABELS[entry.status] || `Status ${entry.status}`;
+        if (entry.kind === FEED_REPORT) {
+            votes[entry.status] = (votes[entry.status] || 0) + 1;
+            addRow('Oracle vote', `${status} (${votes[entry.status]}/${MIN_RESPONSES}), block ${entry.blockNumber}`);
+        } else if (entry.kind === FEED_EXPIRED) {
+            // Votes of the expired request don't count towards the next one
+            votes = {};
+            addRow('Request expired', `No consensus on index ${entry.index}, block ${entry.blockNumber}, waiting for a new request`);
+        } else if (entry.kind === FEED_CONSENSUS) {
+            addRow('Consensus', `${status}, block ${entry.blockNumber}, insurees can claim their payouts`);
+        } else if (entry.kind === FEED_ERROR) {
+            addRow('Events unavailable', `${entry.message}, still trying`);
+        }
+    };
+}
+
+// Only the reason is shown, every other part of the page would talk to the wrong app contract
+function refuse(error) {
+    document.querySelectorAll('main').forEach((main) => main.style.display = 'none');
+    let wrapper = DOM.elid('display-wrapper');
+    wrapper.parentElement.style.display = '';
+    Array.from(wrapper.parentElement.children)
+        .filter((child) => child !== wrapper)
+        .forEach((child) => child.style.display = 'none');
+    display('Deployment', 'The dapp does not match the deployed contracts', [{ label: 'Error', error: error }]);
+}
+
 function display(title, description, results) {
     let displayDiv = DOM.elid("display-wrapper");
     let section = DOM.section();
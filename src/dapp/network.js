@@ -0,0 +1,25 @@
+import Config from './config.json';
+
+/**
+ * Picks the deployment to use from config.json: a `?network=` query parameter first,
+ * then FLIGHT_SURETY_NETWORK given at build time, then the chain the wallet is connected to.
+ */
+export default async function selectNetwork() {
+    let name = new URLSearchParams(window.location.search).get('network') || process.env.FLIGHT_SURETY_NETWORK;
+    if (name) {
+        if (!Config[name]) {
+            throw new Error(`No deployment for network "${name}", known networks: ${Object.keys(Config).join(', ')}`);
+        }
+        return name;
+    }
+
+    if (window.ethereum) {
+        let chainId = parseInt(await window.ethereum.request({ method: 'eth_chainId' }), 16);
+        let match = Object.keys(Config).find((network) => Number(Config[network].chainId) === chainId);
+        if (match) {
+            return match;
+        }
+    }
+
+    return 'localhost';
+}
@@ -0,0 +1,29 @@
+export const ROLE_OWNER = 'owner';
+export const ROLE_AIRLINE = 'airline';
+export const ROLE_FUNDED_AIRLINE = 'funded airline';
+export const ROLE_PASSENGER = 'passenger';
+
+/**
+ * Works out what an account may do in FlightSurety. Airlines are either registered
+ * or funded, every account that is not an airline can insure itself as a passenger.
+ */
+export async function detectRoles(flightSuretyApp, account) {
+    let [owner, isAirline, isFunded] = await Promise.all([
+        flightSuretyApp.methods.getContractOwner().call(),
+        flightSuretyApp.methods.isAirline(account).call(),
+        flightSuretyApp.methods.isAirlineFunded(account).call()
+    ]);
+
+    let roles = [];
+    if (owner.toLowerCase() === account.toLowerCase()) {
+        roles.push(ROLE_OWNER);
+    }
+    if (isFunded) {
+        roles.push(ROLE_FUNDED_AIRLINE);
+    } else if (isAirline) {
+        roles.push(ROLE_AIRLINE);
+    } else {
+        roles.push(ROLE_PASSENGER);
+    }
+    return roles;
+}
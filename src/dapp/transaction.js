@@ -0,0 +1,108 @@
+import Web3 from 'web3';
+
+export const TX_PENDING = 'pending';
+export const TX_MINED = 'mined';
+export const TX_CONFIRMED = 'confirmed';
+export const TX_FAILED = 'failed';
+
+// Selector of Error(string), the encoding of require() and revert() messages
+const ERROR_SELECTOR = '0x08c379a0';
+const abiCoder = new Web3().eth.abi;
+
+/**
+ * Sends contract transactions and reports every step of their lifecycle:
+ * pending (hash known) -> mined (receipt) -> confirmed (enough blocks on top), or failed
+ * with the decoded revert reason. Transactions are estimated first, so the ones that
+ * would revert are not sent at all.
+ */
+export default class TransactionTracker {
+    constructor(confirmations = 1) {
+        this.confirmations = confirmations;
+        this.transactions = [];
+        this.listeners = [];
+    }
+
+    onUpdate(listener) {
+        this.listeners.push(listener);
+    }
+
+    /**
+     * Sends `method` (a web3 contract method) with `options` ({ from, value }).
+     * Resolves with the receipt once mined, rejects with the revert reason as message.
+     */
+    async send(label, method, options) {
+        let tx = this.track(label);
+
+        let gas;
+        try {
+            gas = await method.estimateGas(options);
+        } catch (error) {
+            throw this.fail(tx, error);
+        }
+
+        return new Promise((resolve, reject) => {
+            method.send({ ...options, gas: Math.ceil(gas * 1.2) })
+                .on('transactionHash', (hash) => {
+                    this.update(tx, { hash });
+                })
+                .on('receipt', (receipt) => {
+                    this.update(tx, { state: TX_MINED, gasUsed: receipt.gasUsed });
+                    resolve(receipt);
+                })
+                .on('confirmation', (confirmation, receipt) => {
+                    if (confirmation >= this.confirmations && tx.state === TX_MINED) {
+                        this.update(tx, { state: TX_CONFIRMED, gasUsed: receipt.gasUsed });
+                    }
+                })
+                .on('error', (error, receipt) => {
+                    if (receipt) {
+                        tx.gasUsed = receipt.gasUsed;
+                    }
+                    reject(this.fail(tx, error));
+                });
+        });
+    }
+
+    // Records a transaction that was refused before being sent, e.g. an invalid amount
+    reject(label, error) {
+        return this.fail(this.track(label), error);
+    }
+
+    track(label) {
+        let tx = { id: this.transactions.length + 1, label, state: TX_PENDING, hash: null, gasUsed: null, reason: null };
+        this.transactions.push(tx);
+        this.update(tx, {});
+        return tx;
+    }
+
+    fail(tx, error) {
+        let reason = decodeRevertReason(error);
+        this.update(tx, { state: TX_FAILED, reason });
+        return new Error(reason);
+    }
+
+    update(tx, changes) {
+        Object.assign(tx, changes);
+        this.listeners.forEach((listener) => listener(tx));
+    }
+}
+
+/**
+ * Extracts the require() message from a failed call or transaction. Nodes either pass the
+ * ABI encoded Error(string) as error data or only mention the reason in the message.
+ */
+export function decodeRevertReason(error) {
+    let data = findErrorData(error);
+    if (data && data.startsWith(ERROR_SELECTOR)) {
+        return abiCoder.decodeParameter('string', '0x' + data.slice(10));
+    }
+
+    let message = (error && error.message) || String(error);
+    let match = message.match(/(?:reverted with reason string|execution reverted:|revert) '?([^'\n{]+)'?/);
+    return match ? match[1].trim() : message.split('\n')[0];
+}
+
+function findErrorData(error) {
+    let candidates = [error && error.data, error && error.data && error.data.data, error && error.error && error.error.data];
+    return candidates.find((data) => typeof data === 'string' && data.startsWith('0x'));
+}
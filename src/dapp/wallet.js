@@ -0,0 +1,53 @@
+import { detectRoles } from './roles';
+
+/**
+ * Tracks the active account of an EIP-1193 provider (e.g. an injected wallet) and its roles.
+ * Without a provider the active account has to be set by hand with setAccount().
+ */
+export default class Wallet {
+    constructor(provider, flightSuretyApp) {
+        this.provider = provider;
+        this.flightSuretyApp = flightSuretyApp;
+        this.account = null;
+        this.roles = [];
+        this.accountListeners = [];
+        this.chainListeners = [];
+    }
+
+    async connect() {
+        let accounts = await this.provider.request({ method: 'eth_requestAccounts' });
+        this.provider.on('accountsChanged', (accounts) => this.setAccount(accounts[0]));
+        this.provider.on('chainChanged', (chainId) => this.chainListeners.forEach((listener) => listener(chainId)));
+        await this.setAccount(accounts[0]);
+        return this.account;
+    }
+
+    async setAccount(account) {
+        this.account = account || null;
+        this.roles = [];
+        if (this.account) {
+            try {
+                let roles = await detectRoles(this.flightSuretyApp, this.account);
+                // Another account may have been selected in the meantime
+                if (this.account !== account) return;
+                this.roles = roles;
+            } catch (e) {
+                console.log('Could not detect account roles', e);
+            }
+        }
+        this.accountListeners.forEach((listener) => listener(this.account, this.roles));
+    }
+
+    // Roles change with transactions too, e.g. an airline is funded, the listeners hear about it like an account change
+    refreshRoles() {
+        return this.setAccount(this.account);
+    }
+
+    onAccountChanged(listener) {
+        this.accountListeners.push(listener);
+    }
+
+    onChainChanged(listener) {
+        this.chainListeners.push(listener);
+    }
+}
@@ -0,0 +1,246 @@
+import express from 'express';
+import Web3 from 'web3';
+import { DELAY_STATUS_CODES } from './statusCodes';
+import { getReputation } from './reputation';
+
+const { toBN } = Web3.utils;
+
+/**
+ * Read only REST API over the FlightSurety contracts.
+ * Data contract getters are restricted to authorized callers, so they are called
+ * on behalf of the app contract. Event history comes from the indexer.
+ * `profileOf` gives the profile the simulator answers with for an oracle account.
+ */
+export default function api({ web3, flightSuretyApp, flightSuretyData, registry, indexer, appAddress, profileOf }) {
+  const router = express.Router();
+  const asApp = { from: appAddress };
+
+  router.get('/', (req, res) => {
+    res.send({
+      message: 'An API for use with your Dapp!',
+      endpoints: [
+        '/api/airlines',
+        '/api/airlines/:address/solvency',
+        '/api/solvency',
+        '/api/flights',
+        '/api/flights/:key/status',
+        '/api/flights/:key/insurees',
+        '/api/passengers/:address/policies',
+        '/api/oracles',
+        '/api/requests',
+        '/api/events',
+        '/api/webhooks'
+      ]
+    });
+  });
+
+  router.get('/airlines', handle(async () => {
+    let events = indexer.query({ event: 'AirlineRegistered' });
+    return Promise.all(events.map(async (event) => {
+      let airline = await flightSuretyData.methods.getAirline(event.returnValues.airline).call(asApp);
+      return {
+        address: event.returnValues.airline,
+        name: airline.name,
+        isRegistered: airline.isRegistered,
+        isFunded: airline.isFunded,
+        registeredAt: event.blockNumber
+      };
+    }));
+  }));
+
+  // What every airline took in and owes, see solvencyOf
+  router.get('/solvency', handle(async () => {
+    let events = indexer.query({ event: 'AirlineRegistered' });
+    return Promise.all(events.map((event) => solvencyOf(event.returnValues.airline)));
+  }));
+
+  router.get('/airlines/:address/solvency', handle(async (req) => {
+    if (!Web3.utils.isAddress(req.params.address)) {
+      throw new BadRequest(`${req.params.address} is not an address`);
+    }
+    let airline = await flightSuretyData.methods.getAirline(req.params.address).call(asApp);
+    if (!airline.isRegistered) {
+      throw new NotFound(`Airline ${req.params.address} is not registered`);
+    }
+    return solvencyOf(req.params.address);
+  }));
+
+  // Flights are identified by their key, the hash of airline, flight number and departure
+  router.get('/flights', handle(async () => {
+    let events = indexer.query({ event: 'FlightRegistered' });
+    return Promise.all(events.map((event) => getFlight(event.returnValues.flightKey)));
+  }));
+
+  router.get('/flights/:key/status', handle(async (req) => {
+    let flight = await getFlight(flightKeyParam(req));
+    if (!flight.isRegistered) {
+      throw new NotFound(`Flight ${req.params.key} is not registered`);
+    }
+    return flight;
+  }));
+
+  router.get('/flights/:key/insurees', handle(async (req) => {
+    let key = flightKeyParam(req);
+    let { statusCode } = await getFlight(key);
+    let insurees = await flightSuretyData.methods.getFlightInsurees(key).call(asApp);
+    return Promise.all(insurees.map(async (passenger) => {
+      let insurance = await flightSuretyData.methods.getFlightInsurance(passenger, key).call(asApp);
+      // Payout percentages for the status codes 20, 30, 40 and 50, fixed at purchase
+      let terms = (await flightSuretyData.methods.getInsuranceTerms(passenger, key).call(asApp)).map(Number);
+      return {
+        passenger,
+        insurance,
+        terms,
+        // Payouts are claimed by the passengers, what is left to claim is worked out here as the app contract does
+        claimable: DELAY_STATUS_CODES.includes(statusCode)
+          ? toBN(insurance).muln(terms[DELAY_STATUS_CODES.indexOf(statusCode)]).divn(100).toString()
+          : '0',
+        credit: await flightSuretyData.methods.getPassengerCredit(passenger).call(asApp)
+      };
+    }));
+  }));
+
+  // What a passenger bought, settled insurances included, oldest first. Amounts in wei
+  router.get('/passengers/:address/policies', handle(async (req) => {
+    if (!Web3.utils.isAddress(req.params.address)) {
+      throw new BadRequest(`${req.params.address} is not an address`);
+    }
+    let { 0: policies, 1: flights } = await flightSuretyData.methods.getPolicies(req.params.address).call(asApp);
+    return policies.map((policy, p) => ({
+      key: policy.flightKey,
+      flight: flights[p].flight,
+      airline: flights[p].airline,
+      departure: Number(flights[p].departure),
+      statusCode: Number(flights[p].statusCode),
+      premium: policy.premium,
+      purchasedAt: Number(policy.purchasedAt),
+      credited: policy.credited,
+      resolvedAt: Number(policy.resolvedAt)
+    }));
+  }));
+
+  // Registered oracles with their stake, agreement with the consensus and participation
+  router.get('/oracles', handle(async () => {
+    let blockNumber = await web3.eth.getBlockNumber();
+    return Promise.all(registry.entries().map(async ([address, indexes]) => ({
+      address,
+      indexes,
+      profile: profileOf(address),
+      reputation: await getReputation(flightSuretyApp, address, blockNumber)
+    })));
+  }));
+
+  router.get('/requests', handle(async () => {
+    let requests = indexer.query({ event: 'OracleRequest' });
+    let reports = indexer.query({ event: 'OracleReport' });
+    // In chain order, the first one of a request after it was made ends it
+    let endings = indexer.query({ event: ['OracleRequestClosed', 'OracleRequestExpired'] });
+
+    // Reports don't carry the request index, so they are matched by flight and timestamp
+    let byFlight = (events) => events.reduce((groups, event) => {
+      let key = flightKey(event.returnValues);
+      (groups[key] = groups[key] || []).push(event);
+      return groups;
+    }, {});
+    let votes = byFlight(reports);
+
+    return requests.map((event) => {
+      let { index, airline, flight, timestamp } = event.returnValues;
+      let key = flightKey(event.returnValues);
+      let end = endings.find((ending) => {
+        return ending.returnValues.index === index && flightKey(ending.returnValues) === key && isAfter(ending, event);
+      });
+      let closed = Boolean(end) && end.event === 'OracleRequestClosed';
+      return {
+        index: Number(index),
+        airline,
+        flight,
+        timestamp: Number(timestamp),
+        requestedAt: event.blockNumber,
+        isOpen: !end,
+        state: !end ? 'open' : closed ? 'closed' : 'expired',
+        endedAt: end ? end.blockNumber : null,
+        status: closed ? Number(end.returnValues.status) : null,
+        votes: (votes[key] || [])
+          .filter((vote) => isAfter(vote, event) && (!end || !isAfter(vote, end)))
+          .map((vote) => ({
+            status: Number(vote.returnValues.status),
+            block: vote.blockNumber,
+            transactionHash: vote.transactionHash
+          }))
+      };
+    });
+  }));
+
+  // Indexed contract events, filtered by any query parameter (event, fromBlock, toBlock, flight, passenger...)
+  router.get('/events', handle(async (req) => {
+    return indexer.query(req.query);
+  }));
+
+  // Amounts in wei. New insurances are accepted while `available` covers their highest payout
+  async function solvencyOf(address) {
+    let { funds, premiums, exposure, claims } = await flightSuretyData.methods.getAirlineAccount(address).call(asApp);
+    let reserves = toBN(funds).add(toBN(premiums)).sub(toBN(claims));
+    return {
+      address,
+      funds,
+      premiums,
+      exposure,
+      claims,
+      available: reserves.gt(toBN(exposure)) ? reserves.sub(toBN(exposure)).toString() : '0'
+    };
+  }
+
+  async function getFlight(key) {
+    let flight = await flightSuretyData.methods.getFlight(key).call(asApp);
+    return {
+      key,
+      flight: flight.flight,
+      airline: flight.airline,
+      departure: Number(flight.departure),
+      isRegistered: flight.isRegistered,
+      statusCode: Number(flight.statusCode),
+      updatedTimestamp: Number(flight.updatedTimestamp)
+    };
+  }
+
+  return router;
+}
+
+export class NotFound extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 404;
+  }
+}
+
+export class BadRequest extends Error {
+  constructor(message) {
+    super(message);
+    this.status = 400;
+  }
+}
+
+function flightKeyParam(req) {
+  if (!/^0x[0-9a-fA-F]{64}$/.test(req.params.key)) {
+    throw new BadRequest(`${req.params.key} is not a flight key`);
+  }
+  return req.params.key;
+}
+
+function isAfter(a, b) {
+  return a.blockNumber > b.blockNumber || (a.blockNumber === b.blockNumber && a.logIndex > b.logIndex);
+}
+
+function flightKey({ airline, flight, timestamp }) {
+  return [airline, flight, timestamp].join(':');
+}
+
+// Wraps an async handler, sending its result as JSON and errors with their status code
+export function handle(fn) {
+  return (req, res) => {
+    fn(req)
+      .then((result) => res.send(result))
+      .catch((e) => res.status(e.status || 500).send({ error: e.message }));
+  };
+}
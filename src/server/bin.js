@@ -0,0 +1,4 @@
+// Runs the server CLI straight from the sources: npm run cli -- <command> [options]
+require('@babel/register')({ presets: [['@babel/preset-env', { targets: { node: 'current' } }]], only: [/src\/server/] });
+
+require('./cli').run(process.argv.slice(2));
@@ -0,0 +1,175 @@
+import { createContext } from './context';
+import { checkDeployment } from '../shared/deployment';
+import * as commands from './commands';
+
+// Options every command takes, see context.js
+const CONNECTION_OPTIONS = {
+  network: { type: 'string' },
+  rpcUrl: { type: 'string' }
+};
+
+const COMMANDS = {
+  register: {
+    description: 'Register oracles, accounts already registered keep their indexes',
+    options: { count: { type: 'integer', default: 9 }, fromAccount: { type: 'integer', default: 1 } }
+  },
+  list: {
+    description: 'List the registered oracles with their indexes, simulated profile and reputation',
+    options: {}
+  },
+  respond: {
+    description: 'Vote a status for the latest oracle request of a flight',
+    options: {
+      flight: { type: 'string', required: true },
+      status: { type: 'integer', required: true },
+      airline: { type: 'string' },
+      oracle: { type: 'string' },
+      votes: { type: 'integer', default: 1 }
+    }
+  },
+  trigger: {
+    description: 'Request the status of a flight from the oracles',
+    options: {
+      airline: { type: 'string', required: true },
+      flight: { type: 'string', required: true },
+      departure: { type: 'integer', required: true },
+      fromAccount: { type: 'integer', default: 0 }
+    }
+  },
+  schedule: {
+    description: 'Register the flights of a CSV or JSON schedule, flights already registered are skipped',
+    options: {
+      file: { type: 'string', required: true },
+      format: { type: 'string' },
+      fromAccount: { type: 'integer', default: 0 },
+      batchSize: { type: 'integer', default: 20 }
+    }
+  },
+  serve: {
+    description: 'Run the oracles and serve the REST API (default)',
+    options: {
+      port: { type: 'integer', default: 3000 },
+      oracleCount: { type: 'integer', default: 9 },
+      fromAccount: { type: 'integer', default: 1 },
+      requestAccount: { type: 'integer', default: 0 }
+    },
+    websocket: true
+  }
+};
+
+/**
+ * Splits `<command> --some-option value --flag` into the command and camel cased options.
+ * Without a command the server is started.
+ */
+export function parseArgs(argv) {
+  let command = argv.length && !argv[0].startsWith('--') ? argv[0] : 'serve';
+  let args = command === argv[0] ? argv.slice(1) : argv;
+  let options = {};
+  for (let i = 0; i < args.length; i++) {
+    if (!args[i].startsWith('--')) {
+      throw new Error(`Unexpected argument ${args[i]}`);
+    }
+    let [name, value] = args[i].slice(2).split(/=(.*)/);
+    if (value === undefined) {
+      value = args[i + 1] !== undefined && !args[i + 1].startsWith('--') ? args[++i] : true;
+    }
+    options[name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase())] = value;
+  }
+  return { command, options };
+}
+
+/**
+ * Checks the options of a command against its spec, converts them and fills in defaults.
+ */
+export function resolveOptions(command, options) {
+  let spec = COMMANDS[command];
+  if (!spec) {
+    throw new Error(`Unknown command ${command}`);
+  }
+  let known = { ...CONNECTION_OPTIONS, ...spec.options };
+  let resolved = {};
+  for (let [name, value] of Object.entries(options)) {
+    if (!known[name]) {
+      throw new Error(`Unknown option --${kebab(name)} for ${command}`);
+    }
+    if (known[name].type === 'integer') {
+      if (!/^\d+$/.test(value)) {
+        throw new Error(`--${kebab(name)} has to be a whole number, got ${value}`);
+      }
+      value = Number(value);
+    }
+    resolved[name] = value;
+  }
+  for (let [name, option] of Object.entries(known)) {
+    if (resolved[name] === undefined && option.required) {
+      throw new Error(`--${kebab(name)} is required for ${command}`);
+    }
+    if (resolved[name] === undefined && option.default !== undefined) {
+      resolved[name] = option.default;
+    }
+  }
+  return resolved;
+}
+
+export function usage() {
+  let lines = ['Usage: npm run cli -- <command> [options]', '', 'Commands:'];
+  for (let [name, spec] of Object.entries(COMMANDS)) {
+    let options = Object.entries(spec.options).map(([option, { required, type }]) => {
+      let text = `--${kebab(option)} <${type === 'integer' ? 'n' : 'value'}>`;
+      return required ? text : `[${text}]`;
+    });
+    lines.push(`  ${[name, ...options].join(' ')}`, `      ${spec.description}`);
+  }
+  lines.push('', 'Every command takes --network <name> and --rpc-url <url> to pick the deployment and node.');
+  return lines.join('\n');
+}
+
+/**
+ * Runs a command line, one-off commands close their connection once done.
+ */
+export async function run(argv) {
+  let command, options;
+  try {
+    ({ command, options } = parseArgs(argv));
+    if (command === 'help' || options.help) {
+      console.log(usage());
+      return;
+    }
+    options = resolveOptions(command, options);
+  } catch (e) {
+    console.log(`${e.message}\n\n${usage()}`);
+    process.exitCode = 1;
+    return;
+  }
+
+  let context = createContext({ network: options.network, rpcUrl: options.rpcUrl, websocket: COMMANDS[command].websocket });
+  try {
+    // The WebSocket connection keeps trying until the node answers
+    if (context.connection) {
+      await new Promise((resolve) => context.connection.onConnect(resolve));
+    }
+    let version = await checkDeployment(context);
+    console.log(`Using app contract ${context.config.appAddress} (${version})`);
+  } catch (e) {
+    console.log(`Refusing to run ${command}: ${e.message}`);
+    process.exitCode = 1;
+    context.close();
+    return;
+  }
+
+  if (command === 'serve') {
+    return commands.serve(context, options);
+  }
+  try {
+    return await commands[command](context, options);
+  } catch (e) {
+    console.log(`${command} failed: ${e.message}`);
+    process.exitCode = 1;
+  } finally {
+    context.close();
+  }
+}
+
+function kebab(name) {
+  return name.replace(/[A-Z]/g, (letter) => `-${letter.toLowerCase()}`);
+}
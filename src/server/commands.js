@@ -0,0 +1,129 @@
+import http from 'http';
+import createServer from './server';
+import { STATUS_CODES } from './statusCodes';
+import { loadProfiles } from './profiles';
+import { getReputation, formatReputation } from './reputation';
+import { loadSchedule, importSchedule, IMPORT_FAILED } from './schedule';
+
+// Same gas limit the oracles use for their responses
+const GAS = 6000000;
+
+/**
+ * Registers `count` accounts starting at `fromAccount` as oracles. Accounts the contract
+ * already knows keep their indexes.
+ */
+export async function register(context, { count = 9, fromAccount = 1 }) {
+  let { web3, flightSuretyApp, registry } = context;
+  let accounts = await web3.eth.getAccounts();
+  if (fromAccount + count > accounts.length) {
+    throw new Error(`The node has ${accounts.length} accounts, ${count} oracles from account ${fromAccount} do not fit`);
+  }
+  await registry.sync(flightSuretyApp, accounts.slice(fromAccount, fromAccount + count));
+  return list(context);
+}
+
+/**
+ * Prints the registered oracles with their indexes, the profile the server simulates them
+ * with (ORACLE_PROFILES) and their reputation on chain.
+ */
+export async function list({ web3, flightSuretyApp, registry }) {
+  let entries = registry.entries();
+  if (entries.length === 0) {
+    console.log('No oracles registered, run the register command first');
+  }
+  let accounts = await web3.eth.getAccounts();
+  let blockNumber = await web3.eth.getBlockNumber();
+  let profiles = loadProfiles(process.env.ORACLE_PROFILES);
+  for (let [account, indexes] of entries) {
+    let profile = profiles.profileFor(account, accounts.indexOf(account));
+    let reputation = await getReputation(flightSuretyApp, account, blockNumber);
+    console.log(`${account}  ${indexes.join(', ')}  ${profile.type}  ${formatReputation(reputation)}`);
+  }
+  return entries;
+}
+
+/**
+ * Calls fetchFlightStatus for the flight departing at `departure` (unix seconds) and prints
+ * the index oracles have to match. The flight has to have departed.
+ */
+export async function trigger({ web3, flightSuretyApp }, { airline, flight, departure, fromAccount = 0 }) {
+  let accounts = await web3.eth.getAccounts();
+  let receipt = await flightSuretyApp.methods.fetchFlightStatus(airline, flight, departure)
+    .send({ from: accounts[fromAccount], gas: GAS });
+  let { index } = receipt.events.OracleRequest.returnValues;
+  console.log(`Requested status of ${flight} (${airline}) departed at ${departure}, index ${index}`);
+  return { index: Number(index), airline, flight, timestamp: departure };
+}
+
+/**
+ * Votes `status` for the latest request of a flight, from `votes` registered oracles with the
+ * index of the request or from `oracle`. Lets QA drive consensus by hand.
+ */
+export async function respond({ config, flightSuretyApp, registry }, { flight, status, airline, oracle, votes = 1 }) {
+  if (!STATUS_CODES.includes(status)) {
+    throw new Error(`${status} is not a status code, use one of ${STATUS_CODES.join(', ')}`);
+  }
+
+  let requests = await flightSuretyApp.getPastEvents('OracleRequest', { fromBlock: config.deployBlock || 0 });
+  let request = requests.reverse().find(({ returnValues }) => {
+    return returnValues.flight === flight && (!airline || returnValues.airline.toLowerCase() === airline.toLowerCase());
+  });
+  if (!request) {
+    throw new Error(`No oracle request for ${flight}, trigger one first`);
+  }
+
+  let { index, timestamp } = request.returnValues;
+  let responders = oracle ? [oracle] : registry.entries()
+    .filter(([, indexes]) => indexes.includes(Number(index)))
+    .map(([account]) => account)
+    .slice(0, votes);
+  if (responders.length === 0) {
+    throw new Error(`No registered oracle has index ${index}`);
+  }
+
+  for (let account of responders) {
+    await flightSuretyApp.methods.submitOracleResponse(index, request.returnValues.airline, flight, timestamp, status)
+      .send({ from: account, gas: GAS });
+    console.log(`Oracle ${account} sent status code ${status} for ${flight} at ${timestamp}`);
+  }
+  return responders;
+}
+
+/**
+ * Registers the flights of a CSV or JSON schedule for the airline at `fromAccount`, see
+ * schedule.js, and prints what became of every row. Fails if any row failed.
+ */
+export async function schedule(context, { file, format, fromAccount = 0, batchSize = 20 }) {
+  if (batchSize < 1) {
+    throw new Error('--batch-size has to be at least 1');
+  }
+  let rows = loadSchedule(file, format);
+  let accounts = await context.web3.eth.getAccounts();
+  let airline = accounts[fromAccount];
+  console.log(`Importing ${rows.length} flights for ${airline}, ${batchSize} per transaction`);
+
+  let results = await importSchedule(context, rows, {
+    from: airline,
+    batchSize,
+    onRow: ({ row, flight, route, departure, status, reason }) => {
+      let when = isNaN(departure) ? '-' : new Date(departure * 1000).toISOString();
+      console.log(`Row ${row}  ${flight || '-'}  ${route || '-'}  ${when}  ${status}${reason ? `: ${reason}` : ''}`);
+    }
+  });
+  let counts = results.reduce((counts, { status }) => ({ ...counts, [status]: (counts[status] || 0) + 1 }), {});
+  console.log(Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', ') || 'Nothing to import');
+  if (counts[IMPORT_FAILED]) {
+    throw new Error(`${counts[IMPORT_FAILED]} of ${rows.length} rows failed`);
+  }
+  return results;
+}
+
+/**
+ * Runs the simulated oracles and serves the REST API until the process is stopped.
+ */
+export function serve(context, { port = 3000, oracleCount = 9, fromAccount = 1, requestAccount = 0 }) {
+  let app = createServer(context, { oracleCount, fromAccount, requestAccount });
+  let server = http.createServer(app);
+  server.listen(port, () => console.log(`Serving the API on port ${port}`));
+  return server;
+}
@@ -0,0 +1,117 @@
+import Web3 from 'web3';
+
+/**
+ * Keeps a WebSocket connection to the node open. When the socket closes, errors or stops
+ * answering the heartbeat, a new provider is set on the same web3 instance (contracts created
+ * from it follow along) after an exponential backoff. onConnect listeners run after every
+ * (re)connection, e.g. to subscribe to events again.
+ */
+export default class RpcConnection {
+  constructor(url, { minDelay = 1000, maxDelay = 30000, heartbeatInterval = 10000, timeout = 5000 } = {}) {
+    this.url = url.replace(/^http/, 'ws');
+    this.minDelay = minDelay;
+    this.maxDelay = maxDelay;
+    this.heartbeatInterval = heartbeatInterval;
+    this.timeout = timeout;
+    this.web3 = new Web3();
+    this.provider = null;
+    this.connected = false;
+    this.attempts = 0;
+    this.reconnects = 0;
+    this.lastError = null;
+    // Head of the chain at the last heartbeat, where subscriptions resume after a reconnect
+    this.lastBlock = null;
+    this.connectListeners = [];
+    this.timer = null;
+    this.heartbeat = null;
+    this.connect();
+  }
+
+  onConnect(listener) {
+    this.connectListeners.push(listener);
+    if (this.connected) listener(this.lastBlock);
+  }
+
+  connect() {
+    if (this.provider) {
+      // Subscriptions of the old socket are made again by the onConnect listeners
+      try {
+        this.web3.eth.clearSubscriptions();
+      } catch (e) {
+        console.log(`Could not clear subscriptions: ${e.message}`);
+      }
+    }
+    let provider = new Web3.providers.WebsocketProvider(this.url, { timeout: this.timeout });
+    this.provider = provider;
+    provider.on('connect', async () => {
+      if (provider !== this.provider) return;
+      try {
+        // A fresh connection starts from the current head, a reconnect from where the last one was
+        let head = await this.withTimeout(this.web3.eth.getBlockNumber());
+        // A restarted node may be behind, e.g. a fresh chain
+        if (this.lastBlock === null || this.lastBlock > head) this.lastBlock = head;
+      } catch (e) {
+        return this.drop(provider, e);
+      }
+      console.log(`Connected to ${this.url}${this.reconnects ? ` after ${this.attempts} attempts` : ''}`);
+      this.connected = true;
+      this.attempts = 0;
+      this.connectListeners.forEach((listener) => listener(this.lastBlock));
+      this.startHeartbeat(provider);
+    });
+    provider.on('error', (error) => this.drop(provider, error));
+    provider.on('close', (event) => this.drop(provider, new Error(`Connection closed (${event && event.code})`)));
+    this.web3.setProvider(provider);
+  }
+
+  // Gives up on a provider and schedules the next attempt
+  drop(provider, error) {
+    if (provider !== this.provider || this.timer) return;
+    this.lastError = (error && error.message) || String(error);
+    this.connected = false;
+    clearInterval(this.heartbeat);
+    provider.removeAllListeners && provider.removeAllListeners();
+    try {
+      provider.disconnect();
+    } catch (e) {
+      // The socket may not have been opened at all
+    }
+
+    let delay = Math.min(this.minDelay * 2 ** this.attempts, this.maxDelay);
+    this.attempts++;
+    this.reconnects++;
+    console.log(`Lost connection to ${this.url}: ${this.lastError}, reconnecting in ${delay}ms`);
+    this.timer = setTimeout(() => {
+      this.timer = null;
+      this.connect();
+    }, delay);
+  }
+
+  startHeartbeat(provider) {
+    clearInterval(this.heartbeat);
+    this.heartbeat = setInterval(async () => {
+      try {
+        this.lastBlock = await this.withTimeout(this.web3.eth.getBlockNumber());
+      } catch (e) {
+        this.drop(provider, e);
+      }
+    }, this.heartbeatInterval);
+  }
+
+  withTimeout(promise) {
+    let timer;
+    let timeout = new Promise((resolve, reject) => {
+      timer = setTimeout(() => reject(new Error(`No answer from ${this.url} within ${this.timeout}ms`)), this.timeout);
+    });
+    return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+  }
+
+  close() {
+    clearTimeout(this.timer);
+    clearInterval(this.heartbeat);
+    this.connectListeners = [];
+    let provider = this.provider;
+    this.provider = null;
+    if (provider) provider.disconnect();
+  }
+}
@@ -0,0 +1,36 @@
+import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
+import FlightSuretyData from '../../build/contracts/FlightSuretyData.json';
+import Config from './config.json';
+import Web3 from 'web3';
+import path from 'path';
+import OracleRegistry from './oracleRegistry';
+import RpcConnection from './connection';
+import { selectNetwork } from './network';
+
+/**
+ * Connects to the deployment of a network: web3, both contracts and the oracle registry.
+ * Event subscriptions need a WebSocket connection, one-off commands get by with HTTP
+ * so the process can exit once they are done.
+ */
+export function createContext({ network, rpcUrl, websocket = false } = {}) {
+  let config = selectNetwork(Config, network);
+  let url = rpcUrl || config.url;
+  // The WebSocket connection reconnects by itself, see connection.js
+  let connection = websocket ? new RpcConnection(url) : null;
+  let web3 = connection ? connection.web3 : new Web3(new Web3.providers.HttpProvider(url));
+
+  return {
+    config: { ...config, url },
+    web3,
+    flightSuretyApp: new web3.eth.Contract(FlightSuretyApp.abi, config.appAddress),
+    flightSuretyData: new web3.eth.Contract(FlightSuretyData.abi, config.dataAddress),
+    registry: new OracleRegistry(
+      process.env.ORACLE_REGISTRY_FILE || path.join(process.cwd(), 'data', 'oracles.json'),
+      config.appAddress
+    ),
+    connection,
+    close() {
+      if (connection) connection.close();
+    }
+  };
+}
@@ -0,0 +1,61 @@
+import express from 'express';
+
+/**
+ * Health report for process supervisors. Answers 200 while the node is reachable, with
+ * `status: "degraded"` when the indexer lags behind or an oracle runs low on ether to pay
+ * for its responses, and 503 when the node can't be reached.
+ */
+export default function health({ web3, connection, indexer, registry, maxLag = 10, minBalance = '0.1' }) {
+  const router = express.Router();
+  const minBalanceWei = web3.utils.toBN(web3.utils.toWei(String(minBalance), 'ether'));
+
+  router.get('/', (req, res) => {
+    report()
+      .then((result) => res.status(result.status === 'down' ? 503 : 200).send(result))
+      .catch((e) => res.status(500).send({ status: 'down', error: e.message }));
+  });
+
+  async function report() {
+    let rpc = {
+      url: connection.url,
+      connected: connection.connected,
+      reconnects: connection.reconnects,
+      lastError: connection.lastError
+    };
+    if (!connection.connected) {
+      return { status: 'down', rpc };
+    }
+
+    let block;
+    try {
+      block = await connection.withTimeout(web3.eth.getBlock('latest'));
+    } catch (e) {
+      return { status: 'down', rpc: { ...rpc, lastError: e.message } };
+    }
+
+    let oracles = await Promise.all(registry.entries().map(async ([address]) => {
+      let balance = await connection.withTimeout(web3.eth.getBalance(address));
+      return {
+        address,
+        balance: web3.utils.fromWei(balance, 'ether'),
+        low: web3.utils.toBN(balance).lt(minBalanceWei)
+      };
+    }));
+    let lag = block.number - indexer.lastBlock;
+
+    let degraded = lag > maxLag || oracles.some((oracle) => oracle.low);
+    return {
+      status: degraded ? 'degraded' : 'ok',
+      rpc,
+      latestBlock: {
+        number: block.number,
+        hash: block.hash,
+        age: Math.max(0, Math.floor(Date.now() / 1000) - Number(block.timestamp))
+      },
+      lag: { indexer: lag, max: maxLag },
+      oracles
+    };
+  }
+
+  return router;
+}
@@ -1,15 +1,5 @@
+import { run } from './cli'
 
-import http from 'http'
-import app from './server'
-
-const server = http.createServer(app)
-let currentApp = app
-server.listen(3000)
-
-if (module.hot) {
- module.hot.accept('./server', () => {
-  server.removeListener('request', currentApp)
-  server.on('request', app)
-  currentApp = app
- })
-}
\ No newline at end of file
+// `npm run server` starts this build without arguments, which serves the oracles and the API.
+// The oracles hold subscriptions and pending responses, so code changes take a restart ("rs").
+run(process.argv.slice(2))
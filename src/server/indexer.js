@@ -0,0 +1,160 @@
+import JsonStore from './store';
+
+// How many processed block hashes are kept around to find the fork point of a reorg
+const CHECKPOINTS_KEPT = 128;
+
+/**
+ * Builds a local history of the FlightSurety contract events.
+ *
+ * The indexer backfills from `startBlock` with getPastEvents and then polls for new blocks.
+ * Hashes of processed blocks are kept as checkpoints: when the chain no longer has the same
+ * hash for a checkpoint the events after the fork point are dropped and indexed again.
+ * A different genesis block (e.g. a restarted Ganache) resets the whole store.
+ */
+export default class EventIndexer {
+  constructor({ web3, contracts, file, startBlock = 0, batchSize = 1000, pollInterval = 2000 }) {
+    this.web3 = web3;
+    this.contracts = contracts;
+    this.startBlock = Number(startBlock);
+    this.batchSize = batchSize;
+    this.pollInterval = pollInterval;
+    this.store = new JsonStore(file, { genesisHash: null, lastBlock: null, checkpoints: [], events: [] });
+    this.timer = null;
+  }
+
+  get lastBlock() {
+    let last = this.store.data.lastBlock;
+    return last === null ? this.startBlock - 1 : last;
+  }
+
+  start() {
+    let poll = async () => {
+      try {
+        await this.sync();
+      } catch (e) {
+        console.log(`Indexer sync failed: ${e.message}`);
+      }
+      this.timer = setTimeout(poll, this.pollInterval);
+    };
+    return poll();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  /**
+   * Indexes everything between the last processed block and the chain head.
+   */
+  async sync() {
+    await this.checkGenesis();
+    await this.checkReorg();
+
+    let head = await this.web3.eth.getBlockNumber();
+    while (this.lastBlock < head) {
+      let fromBlock = this.lastBlock + 1;
+      let toBlock = Math.min(fromBlock + this.batchSize - 1, head);
+      let events = await this.fetchEvents(fromBlock, toBlock);
+      let block = await this.web3.eth.getBlock(toBlock);
+
+      this.store.data.events.push(...events);
+      this.store.data.lastBlock = toBlock;
+      this.addCheckpoint(toBlock, block.hash);
+      this.store.save();
+    }
+  }
+
+  async checkGenesis() {
+    let genesis = await this.web3.eth.getBlock(0);
+    if (this.store.data.genesisHash !== genesis.hash) {
+      if (this.store.data.genesisHash !== null) {
+        console.log('Indexer detected a new chain, dropping the indexed history');
+      }
+      this.store.reset();
+      this.store.data.genesisHash = genesis.hash;
+      this.store.save();
+    }
+  }
+
+  async checkReorg() {
+    let checkpoints = this.store.data.checkpoints;
+    let valid = checkpoints.length;
+    while (valid > 0) {
+      let { number, hash } = checkpoints[valid - 1];
+      let block = await this.web3.eth.getBlock(number);
+      if (block && block.hash === hash) break;
+      valid--;
+    }
+    if (valid === checkpoints.length) return;
+
+    // Everything after the last checkpoint still on chain has to be indexed again
+    let forkBlock = valid > 0 ? checkpoints[valid - 1].number : this.startBlock - 1;
+    console.log(`Indexer detected a reorg, re-indexing from block ${forkBlock + 1}`);
+    this.store.data.checkpoints = checkpoints.slice(0, valid);
+    this.store.data.events = this.store.data.events.filter((event) => event.blockNumber <= forkBlock);
+    this.store.data.lastBlock = valid > 0 ? forkBlock : null;
+    this.store.save();
+  }
+
+  addCheckpoint(number, hash) {
+    let checkpoints = this.store.data.checkpoints;
+    checkpoints.push({ number, hash });
+    if (checkpoints.length > CHECKPOINTS_KEPT) {
+      checkpoints.splice(0, checkpoints.length - CHECKPOINTS_KEPT);
+    }
+  }
+
+  async fetchEvents(fromBlock, toBlock) {
+    let events = [];
+    for (let [name, contract] of Object.entries(this.contracts)) {
+      let logs = await contract.getPastEvents('allEvents', { fromBlock, toBlock });
+      events.push(...logs.map((log) => ({
+        contract: name,
+        event: log.event,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.logIndex,
+        returnValues: namedValues(log.returnValues)
+      })));
+    }
+    return events.sort((a, b) => a.blockNumber - b.blockNumber || a.logIndex - b.logIndex);
+  }
+
+  /**
+   * Returns indexed events in chain order. Every filter key other than `event`,
+   * `fromBlock` and `toBlock` is matched against the event's return values.
+   */
+  query({ event, fromBlock, toBlock, ...values } = {}) {
+    let events = Array.isArray(event) ? event : event ? [event] : null;
+    return this.store.data.events.filter((log) => {
+      if (events && !events.includes(log.event)) return false;
+      if (fromBlock !== undefined && log.blockNumber < Number(fromBlock)) return false;
+      if (toBlock !== undefined && log.blockNumber > Number(toBlock)) return false;
+      return Object.entries(values).every(([key, value]) => sameValue(log.returnValues[key], value));
+    });
+  }
+}
+
+// web3 returns every value both by position and by name, only the names are kept
+function namedValues(returnValues) {
+  let values = {};
+  for (let [key, value] of Object.entries(returnValues)) {
+    if (isNaN(Number(key))) values[key] = value;
+  }
+  return values;
+}
+
+function sameValue(actual, expected) {
+  if (actual === undefined) return false;
+  // Addresses are compared case insensitive since their checksum casing may differ
+  if (isAddress(actual) && isAddress(expected)) {
+    return actual.toLowerCase() === expected.toLowerCase();
+  }
+  return String(actual) === String(expected);
+}
+
+function isAddress(value) {
+  return /^0x[0-9a-fA-F]{40}$/.test(value);
+}
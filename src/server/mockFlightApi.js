@@ -0,0 +1,29 @@
+import express from 'express';
+import { loadFixture } from './providers/fixtureProvider';
+import { findFlight } from './providers/flightStatus';
+
+/**
+ * Offline stand-in for a flight status API, serving the flights of a fixture file.
+ * GET /flights/:flight?airline=<address>&timestamp=<seconds> answers with the flight record
+ * departing closest to the timestamp.
+ */
+export default function mockFlightApi(file) {
+  const app = express();
+  const records = loadFixture(file);
+
+  app.get('/flights', (req, res) => {
+    res.send(records);
+  });
+
+  app.get('/flights/:flight', (req, res) => {
+    let timestamp = req.query.timestamp || Math.floor(Date.now() / 1000);
+    let record = findFlight(records, req.query.airline, req.params.flight, timestamp);
+    if (!record) {
+      res.status(404).send({ error: `No flight ${req.params.flight} around ${timestamp}` });
+    } else {
+      res.send(record);
+    }
+  });
+
+  return app;
+}
@@ -0,0 +1,18 @@
+/**
+ * Picks the deployment the server runs against from the config written by the migrations.
+ * The network comes from `--network <name>`, then FLIGHT_SURETY_NETWORK, then "localhost".
+ */
+export function networkName(argv = process.argv, env = process.env) {
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--network' && argv[i + 1]) return argv[i + 1];
+    if (argv[i].startsWith('--network=')) return argv[i].slice('--network='.length);
+  }
+  return env.FLIGHT_SURETY_NETWORK || 'localhost';
+}
+
+export function selectNetwork(config, name = networkName()) {
+  if (!config[name]) {
+    throw new Error(`No deployment for network "${name}", known networks: ${Object.keys(config).join(', ')}`);
+  }
+  return { name, ...config[name] };
+}
@@ -0,0 +1,72 @@
+import JsonStore from './store';
+
+/**
+ * Keeps track of the accounts registered as oracles and the indexes assigned to them.
+ * The registry is persisted to disk and reconciled with the chain on startup so the
+ * server can be restarted against the same Ganache instance without re-registering.
+ */
+export default class OracleRegistry {
+  constructor(file, appAddress) {
+    this.store = new JsonStore(file, { appAddress: null, oracles: {} });
+    this.appAddress = appAddress;
+
+    // A different app contract means a fresh deployment or an upgrade, sync reads the indexes from the chain again
+    if (this.store.data.appAddress !== appAddress) {
+      this.store.reset();
+      this.store.data.appAddress = appAddress;
+    }
+  }
+
+  get(account) {
+    return this.store.data.oracles[account];
+  }
+
+  set(account, indexes) {
+    this.store.data.oracles[account] = indexes.map(Number);
+    this.store.save();
+  }
+
+  entries() {
+    return Object.entries(this.store.data.oracles);
+  }
+
+  /**
+   * Makes sure every account in `accounts` is registered as an oracle. Indexes already
+   * assigned on chain are reused, only accounts unknown to the contract are registered.
+   */
+  async sync(flightSuretyApp, accounts) {
+    let fee = await flightSuretyApp.methods.REGISTRATION_FEE().call();
+
+    for (let account of accounts) {
+      let indexes = await this.fetchIndexes(flightSuretyApp, account);
+      if (indexes) {
+        if (!this.get(account)) {
+          console.log(`Oracle ${account} already registered on chain: ${indexes.join(', ')}`);
+        }
+      } else {
+        await flightSuretyApp.methods.registerOracle().send({ from: account, value: fee, gas: 6000000 });
+        indexes = await this.fetchIndexes(flightSuretyApp, account);
+        console.log(`Oracle Registered: ${indexes[0]}, ${indexes[1]}, ${indexes[2]}`);
+      }
+      this.set(account, indexes);
+    }
+
+    // Forget stored oracles the chain does not know about anymore, e.g. after a Ganache reset
+    for (let [account] of this.entries()) {
+      if (!accounts.includes(account) && !(await this.fetchIndexes(flightSuretyApp, account))) {
+        delete this.store.data.oracles[account];
+        this.store.save();
+      }
+    }
+  }
+
+  async fetchIndexes(flightSuretyApp, account) {
+    try {
+      let result = await flightSuretyApp.methods.getMyIndexes().call({ from: account });
+      return [result[0], result[1], result[2]].map(Number);
+    } catch (e) {
+      // getMyIndexes reverts with "Not registered as an oracle"
+      return null;
+    }
+  }
+}
@@ -0,0 +1,160 @@
+import fs from 'fs';
+import DefaultProfiles from './profiles.json';
+import { STATUS_CODES } from './statusCodes';
+
+/**
+ * Oracle behaviour profiles for the simulator.
+ *
+ * Every profile has a `type` and an optional `delay` in seconds:
+ *   provider    - reports what the flight data provider says
+ *   random      - uniform pick from all status codes (the default)
+ *   fixed       - always reports `status`
+ *   weighted    - picks from `weights`, a map of status code to relative weight
+ *   majority    - agrees with the most reported status for the request
+ *   contrarian  - reports anything but the most reported status for the request
+ *
+ * Majority and contrarian only see the `reports` they are given and the answers planned before
+ * theirs. The server passes no reports: all answers are planned when the request comes in, before
+ * any OracleReport is on chain, so they follow the other oracles of this server only.
+ *   silent      - never responds
+ *
+ * Profiles are keyed by account position (as in `accounts[n]`) or by address.
+ */
+export const PROFILE_TYPES = ['provider', 'random', 'fixed', 'weighted', 'majority', 'contrarian', 'silent'];
+
+// Profiles that look at what other oracles answered, so they are evaluated last
+const DEPENDENT_TYPES = ['majority', 'contrarian'];
+
+export function loadProfiles(file, seed) {
+  let config = file ? JSON.parse(fs.readFileSync(file, 'utf-8')) : DefaultProfiles;
+  if (seed !== undefined) {
+    config = { ...config, seed };
+  }
+  return new ProfileSimulator(config);
+}
+
+export class ProfileSimulator {
+  constructor(config = {}) {
+    this.seed = config.seed !== undefined ? String(config.seed) : String(Date.now());
+    this.defaultProfile = config.default || { type: 'random' };
+    this.profiles = config.oracles || {};
+
+    for (let profile of [this.defaultProfile, ...Object.values(this.profiles)]) {
+      validateProfile(profile);
+    }
+  }
+
+  profileFor(account, position) {
+    return this.profiles[account] || this.profiles[String(position)] || this.defaultProfile;
+  }
+
+  /**
+   * Decides what each oracle answers to a single request.
+   * `oracles` is a list of { account, position } matching the request index, `reports`
+   * the status codes already reported by others and `providerStatus` what the flight data
+   * provider answered (null when it failed). Returns a list of
+   * { account, statusCode, delay } for oracles that are not silent.
+   */
+  respond(requestKey, oracles, reports = [], providerStatus = null) {
+    let tally = reports.map(Number);
+    let answers = [];
+
+    let ordered = oracles
+      .map((oracle) => ({ ...oracle, profile: this.profileFor(oracle.account, oracle.position) }))
+      .sort((a, b) => DEPENDENT_TYPES.includes(a.profile.type) - DEPENDENT_TYPES.includes(b.profile.type));
+
+    for (let { account, profile } of ordered) {
+      if (profile.type === 'silent') continue;
+      // Without data from the provider there is nothing to report
+      if (profile.type === 'provider' && providerStatus === null) continue;
+
+      let rng = createRng(this.seed, requestKey, account);
+      let statusCode = pickStatusCode(profile, rng, tally, providerStatus);
+      tally.push(statusCode);
+      answers.push({ account, statusCode, delay: Number(profile.delay || 0) });
+    }
+    return answers;
+  }
+}
+
+function validateProfile(profile) {
+  if (!PROFILE_TYPES.includes(profile.type)) {
+    throw new Error(`Unknown oracle profile type: ${profile.type}`);
+  }
+  if (profile.type === 'fixed' && !STATUS_CODES.includes(Number(profile.status))) {
+    throw new Error(`Invalid status code for fixed profile: ${profile.status}`);
+  }
+  if (profile.type === 'weighted') {
+    let codes = Object.keys(profile.weights || {});
+    if (codes.length === 0 || codes.some((code) => !STATUS_CODES.includes(Number(code)))) {
+      throw new Error('Weighted profile needs weights for valid status codes');
+    }
+  }
+}
+
+function pickStatusCode(profile, rng, tally, providerStatus) {
+  let majority = mostReported(tally);
+
+  switch (profile.type) {
+    case 'provider':
+      return Number(providerStatus);
+    case 'fixed':
+      return Number(profile.status);
+    case 'weighted':
+      return pickWeighted(profile.weights, rng);
+    case 'majority':
+      return majority !== null ? majority : pickUniform(STATUS_CODES, rng);
+    case 'contrarian':
+      return pickUniform(STATUS_CODES.filter((code) => code !== majority), rng);
+    default:
+      return pickUniform(STATUS_CODES, rng);
+  }
+}
+
+function mostReported(tally) {
+  let counts = new Map();
+  for (let code of tally) {
+    counts.set(code, (counts.get(code) || 0) + 1);
+  }
+  let best = null;
+  for (let [code, count] of counts) {
+    if (best === null || count > counts.get(best)) best = code;
+  }
+  return best;
+}
+
+function pickUniform(codes, rng) {
+  return codes[Math.floor(rng() * codes.length)];
+}
+
+function pickWeighted(weights, rng) {
+  let entries = Object.entries(weights).map(([code, weight]) => [Number(code), Number(weight)]);
+  let total = entries.reduce((sum, [, weight]) => sum + weight, 0);
+  let n = rng() * total;
+  for (let [code, weight] of entries) {
+    if (n < weight) return code;
+    n -= weight;
+  }
+  return entries[entries.length - 1][0];
+}
+
+/**
+ * Seeded PRNG (mulberry32). The generator is derived from the run seed and the request,
+ * so the same seed gives the same answers regardless of the order events arrive in.
+ */
+export function createRng(...parts) {
+  // FNV-1a hash of the parts as the 32 bit seed
+  let state = 0x811c9dc5;
+  for (let char of parts.join(':')) {
+    state ^= char.charCodeAt(0);
+    state = Math.imul(state, 0x01000193) >>> 0;
+  }
+
+  return function () {
+    state = (state + 0x6D2B79F5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
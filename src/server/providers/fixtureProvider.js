@@ -0,0 +1,46 @@
+import fs from 'fs';
+import path from 'path';
+import { findFlight, toStatusCode } from './flightStatus';
+import { STATUS_CODE_UNKNOWN } from '../statusCodes';
+import { parseCsv } from '../../shared/schedule';
+
+// Departure relative to when the fixture is loaded, e.g. +2h, -30m or +1d2h
+const RELATIVE_DEPARTURE = /^([+-])(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?$/;
+
+/**
+ * Answers from a JSON or CSV fixture of flights, e.g.
+ *
+ *   flight,departure,status,cause,airline
+ *   ND1309,2023-11-14T22:00:00Z,delayed,weather,
+ *   ND1310,+3h,on_time,,
+ *
+ * The airline column is optional, an empty one matches any airline.
+ */
+export default class FixtureProvider {
+  constructor({ file, now }) {
+    this.records = loadFixture(file, now);
+  }
+
+  async getStatus(airline, flight, timestamp) {
+    let record = findFlight(this.records, airline, flight, timestamp);
+    return record ? toStatusCode(record) : STATUS_CODE_UNKNOWN;
+  }
+}
+
+/**
+ * Reads the records of a fixture, relative departures become unix seconds counted from `now`
+ * (milliseconds), so flights registered for today find their record.
+ */
+export function loadFixture(file, now = Date.now()) {
+  let content = fs.readFileSync(file, 'utf-8');
+  let records = path.extname(file).toLowerCase() === '.csv' ? parseCsv(content) : JSON.parse(content);
+  return records.map((record) => ({ ...record, departure: resolveDeparture(record.departure, now) }));
+}
+
+function resolveDeparture(departure, now) {
+  let match = RELATIVE_DEPARTURE.exec(String(departure).trim());
+  if (!match || !(match[2] || match[3] || match[4])) return departure;
+  let [, sign, days = 0, hours = 0, minutes = 0] = match;
+  let offset = ((Number(days) * 24 + Number(hours)) * 60 + Number(minutes)) * 60;
+  return Math.floor(now / 1000) + (sign === '-' ? -offset : offset);
+}
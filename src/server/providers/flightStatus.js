@@ -0,0 +1,65 @@
+import {
+  STATUS_CODE_UNKNOWN,
+  STATUS_CODE_ON_TIME,
+  STATUS_CODE_LATE_AIRLINE,
+  STATUS_CODE_LATE_WEATHER,
+  STATUS_CODE_LATE_TECHNICAL,
+  STATUS_CODE_LATE_OTHER,
+  STATUS_CODES
+} from '../statusCodes';
+import { toDeparture } from '../../shared/schedule';
+
+const DELAY_CAUSES = {
+  airline: STATUS_CODE_LATE_AIRLINE,
+  weather: STATUS_CODE_LATE_WEATHER,
+  technical: STATUS_CODE_LATE_TECHNICAL,
+  other: STATUS_CODE_LATE_OTHER
+};
+
+/**
+ * Maps a flight status record as published by flight status APIs
+ * ({ status: 'scheduled' | 'on_time' | 'delayed', cause }) to a contract status code.
+ * A numeric status is taken as a status code as is.
+ */
+export function toStatusCode({ status, cause }) {
+  if (status !== undefined && status !== '' && !isNaN(Number(status))) {
+    let code = Number(status);
+    if (!STATUS_CODES.includes(code)) {
+      throw new Error(`Invalid status code: ${status}`);
+    }
+    return code;
+  }
+
+  switch (String(status).toLowerCase()) {
+    case 'on_time':
+    case 'landed':
+      return STATUS_CODE_ON_TIME;
+    case 'delayed':
+      return DELAY_CAUSES[String(cause).toLowerCase()] || STATUS_CODE_LATE_OTHER;
+    default:
+      return STATUS_CODE_UNKNOWN;
+  }
+}
+
+/**
+ * Picks the record of `flight` departing closest to `timestamp` (in seconds),
+ * records more than a day away don't count.
+ */
+export function findFlight(records, airline, flight, timestamp) {
+  let best = null;
+  for (let record of records) {
+    if (record.flight !== flight) continue;
+    if (record.airline && airline && record.airline.toLowerCase() !== airline.toLowerCase()) continue;
+
+    let distance = Math.abs(departureOf(record) - Number(timestamp));
+    if (distance <= 24 * 60 * 60 && (best === null || distance < best.distance)) {
+      best = { record, distance };
+    }
+  }
+  return best && best.record;
+}
+
+// Departure as unix seconds, given either as seconds or as a date string
+export function departureOf(record) {
+  return toDeparture(record.departure);
+}
@@ -0,0 +1,41 @@
+import http from 'http';
+import https from 'https';
+import { toStatusCode } from './flightStatus';
+import { STATUS_CODE_UNKNOWN } from '../statusCodes';
+
+/**
+ * Asks a flight status API: GET <url>/flights/<flight>?airline=<airline>&timestamp=<timestamp>
+ * which answers with a { status, cause } record, or 404 for unknown flights.
+ */
+export default class HttpProvider {
+  constructor({ url, timeout = 5000 }) {
+    this.url = url.replace(/\/$/, '');
+    this.timeout = timeout;
+  }
+
+  async getStatus(airline, flight, timestamp) {
+    let query = `airline=${encodeURIComponent(airline)}&timestamp=${encodeURIComponent(timestamp)}`;
+    let { status, body } = await this.get(`${this.url}/flights/${encodeURIComponent(flight)}?${query}`);
+    if (status === 404) {
+      return STATUS_CODE_UNKNOWN;
+    }
+    if (status !== 200) {
+      throw new Error(`Flight status API answered ${status} for ${flight}`);
+    }
+    return toStatusCode(JSON.parse(body));
+  }
+
+  get(url) {
+    let client = url.startsWith('https') ? https : http;
+    return new Promise((resolve, reject) => {
+      let req = client.get(url, { timeout: this.timeout }, (res) => {
+        let body = '';
+        res.setEncoding('utf-8');
+        res.on('data', (chunk) => body += chunk);
+        res.on('end', () => resolve({ status: res.statusCode, body }));
+      });
+      req.on('timeout', () => req.destroy(new Error(`Flight status API timed out: ${url}`)));
+      req.on('error', reject);
+    });
+  }
+}
@@ -0,0 +1,20 @@
+import RandomProvider from './randomProvider';
+import FixtureProvider from './fixtureProvider';
+import HttpProvider from './httpProvider';
+
+/**
+ * Flight data providers answer `getStatus(airline, flight, timestamp)` with one of the
+ * flight status codes. They are what oracles with the `provider` profile report.
+ */
+export function createProvider({ type = 'random', seed, file, url }) {
+  switch (type) {
+    case 'random':
+      return new RandomProvider({ seed });
+    case 'fixture':
+      return new FixtureProvider({ file });
+    case 'http':
+      return new HttpProvider({ url });
+    default:
+      throw new Error(`Unknown flight data provider: ${type}`);
+  }
+}
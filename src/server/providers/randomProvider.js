@@ -0,0 +1,17 @@
+import { createRng } from '../profiles';
+import { STATUS_CODES } from '../statusCodes';
+
+/**
+ * Makes up a status for every flight. The status only depends on the seed and the
+ * request, so all oracles asking about the same flight get the same answer.
+ */
+export default class RandomProvider {
+  constructor({ seed = Date.now() } = {}) {
+    this.seed = String(seed);
+  }
+
+  async getStatus(airline, flight, timestamp) {
+    let rng = createRng(this.seed, airline, flight, timestamp);
+    return STATUS_CODES[Math.floor(rng() * STATUS_CODES.length)];
+  }
+}
@@ -0,0 +1,34 @@
+import Web3 from 'web3';
+
+/**
+ * Stake and track record of an oracle as the app contract keeps them. `agreement` is the share
+ * of its rated responses that matched the consensus, `participation` the share of requests for
+ * its indexes it answered in time; both are null while there is nothing to rate.
+ */
+export async function getReputation(flightSuretyApp, address, blockNumber) {
+  let { oracle, invited } = await flightSuretyApp.methods.getOracle(address).call();
+  let agreed = Number(oracle.agreed);
+  let disagreed = Number(oracle.disagreed);
+  let answered = Number(oracle.answered);
+  return {
+    stake: Web3.utils.fromWei(oracle.stake, 'ether'),
+    agreed,
+    disagreed,
+    answered,
+    invited: Number(invited),
+    agreement: agreed + disagreed > 0 ? agreed / (agreed + disagreed) : null,
+    participation: Number(invited) > 0 ? Math.min(answered / Number(invited), 1) : null,
+    strikes: Number(oracle.strikes),
+    suspended: blockNumber <= Number(oracle.suspendedUntil),
+    suspendedUntil: Number(oracle.suspendedUntil),
+    withdrawal: Web3.utils.fromWei(oracle.withdrawal, 'ether'),
+    withdrawableAt: Number(oracle.withdrawableAt)
+  };
+}
+
+// One line summary for the CLI
+export function formatReputation(reputation) {
+  let percent = (share) => share === null ? '-' : `${Math.round(share * 100)}%`;
+  let text = `stake ${reputation.stake} ether, agreed ${reputation.agreed}/${reputation.agreed + reputation.disagreed} (${percent(reputation.agreement)}), answered ${reputation.answered}/${reputation.invited} (${percent(reputation.participation)})`;
+  return reputation.suspended ? `${text}, suspended until block ${reputation.suspendedUntil}` : text;
+}
@@ -0,0 +1,102 @@
+/**
+ * Follows the oracle requests the server has seen. A request still open after its timeout is
+ * expired on chain and, while the status of the flight is unknown, the flight is requested
+ * again so other oracles (with another index) get to answer. Each flight is requested again
+ * at most `retries` times.
+ */
+export default class RequestWatcher {
+  constructor({ web3, flightSuretyApp, gas = 6000000, retries = 3, pollInterval = 5000 }) {
+    this.web3 = web3;
+    this.flightSuretyApp = flightSuretyApp;
+    this.gas = gas;
+    this.retries = retries;
+    this.pollInterval = pollInterval;
+    this.account = null;
+    this.requests = new Map();
+    this.attempts = new Map();
+    this.timer = null;
+  }
+
+  // Expired requests are closed and made again from `account`
+  start(account) {
+    this.account = account;
+    let poll = async () => {
+      try {
+        await this.check();
+      } catch (e) {
+        console.log(`Checking oracle requests failed: ${e.message}`);
+      }
+      this.timer = setTimeout(poll, this.pollInterval);
+    };
+    return poll();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  track({ index, airline, flight, timestamp }) {
+    let key = [index, airline, flight, timestamp].join(':');
+    if (!this.requests.has(key)) {
+      this.requests.set(key, { index, airline, flight, timestamp, expiresAt: null });
+    }
+  }
+
+  async check() {
+    let head = await this.web3.eth.getBlockNumber();
+    for (let [key, request] of this.requests) {
+      if (request.expiresAt === null) {
+        let { isOpen, expiresAt } = await this.getRequest(request);
+        if (!isOpen) {
+          this.requests.delete(key);
+          continue;
+        }
+        request.expiresAt = Number(expiresAt);
+      }
+      if (head > request.expiresAt) {
+        this.requests.delete(key);
+        try {
+          await this.expire(request);
+        } catch (e) {
+          console.log(`Handling expired request ${key} failed: ${e.message}`);
+        }
+      }
+    }
+  }
+
+  async expire(request) {
+    let { index, airline, flight, timestamp } = request;
+    let { isOpen } = await this.getRequest(request);
+    if (isOpen) {
+      await this.flightSuretyApp.methods.expireRequest(index, airline, flight, timestamp)
+        .send({ from: this.account, gas: this.gas });
+      console.log(`Request ${index} for ${flight} expired without consensus`);
+    }
+
+    // Closed by consensus, or another request of the flight got one
+    if (await this.isSettled(request)) return;
+
+    let flightKey = [airline, flight, timestamp].join(':');
+    let attempts = this.attempts.get(flightKey) || 0;
+    if (attempts >= this.retries) {
+      console.log(`Status of ${flight} is still unknown after ${attempts} requests, giving up`);
+      return;
+    }
+    this.attempts.set(flightKey, attempts + 1);
+    let receipt = await this.flightSuretyApp.methods.fetchFlightStatus(airline, flight, timestamp)
+      .send({ from: this.account, gas: this.gas });
+    console.log(`Requested status of ${flight} again, index ${receipt.events.OracleRequest.returnValues.index}`);
+  }
+
+  getRequest({ index, airline, flight, timestamp }) {
+    return this.flightSuretyApp.methods.getRequest(index, airline, flight, timestamp).call();
+  }
+
+  async isSettled({ airline, flight, timestamp }) {
+    let methods = this.flightSuretyApp.methods;
+    let flightKey = await methods.getFlightKey(airline, flight, timestamp).call();
+    let { statusCode } = await methods.getFlight(flightKey).call();
+    return Number(statusCode) !== 0;
+  }
+}
@@ -0,0 +1,199 @@
+import JsonStore from './store';
+
+export const RESPONSE_QUEUED = 'queued';
+export const RESPONSE_SENT = 'sent';
+export const RESPONSE_SETTLED = 'settled';
+export const RESPONSE_FAILED = 'failed';
+
+// Reverts of responses that arrive after the request reached consensus or expired, nothing to retry
+const SETTLED_REASONS = [
+  'Flight or timestamp do not match oracle request',
+  'Oracle has already responded'
+];
+// RPC errors worth another try, the transaction may not have reached the node
+const TRANSIENT_ERRORS = [
+  'CONNECTION ERROR',
+  'connection not open',
+  'Invalid JSON RPC response',
+  'ECONNRESET',
+  'ECONNREFUSED',
+  'ETIMEDOUT',
+  'timeout',
+  'Too Many Requests'
+];
+// The local nonce is off, e.g. after a send that failed half way
+const NONCE_ERRORS = ['nonce too low', 'nonce too high', 'already known', 'replacement transaction underpriced'];
+
+/**
+ * Sends the oracle responses. Each account has its own queue, so its transactions go out one
+ * at a time with nonces counted locally. Transient RPC errors are retried with exponential
+ * backoff, responses that come in after the consensus are expected to revert.
+ *
+ * Requests are recorded with their planned responses before anything is sent, so events that
+ * are replayed (e.g. after a WebSocket reconnect) are ignored and responses still queued when
+ * the server stopped are sent by resume().
+ */
+export default class OracleResponder {
+  constructor({ web3, flightSuretyApp, file, appAddress, gas = 6000000, retries = 5, backoff = 500 }) {
+    this.web3 = web3;
+    this.flightSuretyApp = flightSuretyApp;
+    this.gas = gas;
+    this.retries = retries;
+    this.backoff = backoff;
+    this.queues = new Map();
+    this.nonces = new Map();
+
+    this.store = new JsonStore(file, { appAddress: null, lastBlock: null, requests: {} });
+    // Requests of another deployment can't be answered anymore
+    if (this.store.data.appAddress !== appAddress) {
+      this.store.reset();
+      this.store.data.appAddress = appAddress;
+      this.store.save();
+    }
+  }
+
+  // Block of the latest request claimed, where a restarted server picks up
+  get lastBlock() {
+    return this.store.data.lastBlock;
+  }
+
+  has(key) {
+    return Boolean(this.store.data.requests[key]);
+  }
+
+  /**
+   * Marks a request as taken, returns false when it was seen before.
+   */
+  claim(key, request) {
+    if (this.has(key)) return false;
+    this.store.data.requests[key] = { ...request, responses: [] };
+    if (request.blockNumber > this.store.data.lastBlock) {
+      this.store.data.lastBlock = request.blockNumber;
+    }
+    this.store.save();
+    return true;
+  }
+
+  /**
+   * Plans the responses of a claimed request and sends each after its delay in seconds.
+   */
+  respond(key, responses) {
+    let request = this.store.data.requests[key];
+    request.responses = responses.map(({ account, statusCode }) => ({ account, statusCode, state: RESPONSE_QUEUED }));
+    this.store.save();
+
+    return Promise.all(request.responses.map((response, i) => {
+      return sleep(responses[i].delay * 1000).then(() => this.enqueue(key, response));
+    }));
+  }
+
+  // Sends the responses left queued by the previous run
+  resume() {
+    let pending = [];
+    for (let [key, request] of Object.entries(this.store.data.requests)) {
+      for (let response of request.responses.filter((response) => response.state === RESPONSE_QUEUED)) {
+        pending.push(this.enqueue(key, response));
+      }
+    }
+    return Promise.all(pending);
+  }
+
+  enqueue(key, response) {
+    let { account } = response;
+    let queue = (this.queues.get(account) || Promise.resolve())
+      .then(() => this.submit(key, response));
+    this.queues.set(account, queue);
+    return queue;
+  }
+
+  async submit(key, response) {
+    let { index, airline, flight, timestamp } = this.store.data.requests[key];
+    let { account, statusCode } = response;
+
+    for (let attempt = 0; ; attempt++) {
+      let nonce = null;
+      let method = this.flightSuretyApp.methods.submitOracleResponse(index, airline, flight, timestamp, statusCode);
+      try {
+        nonce = await this.nextNonce(account);
+        await method.send({ from: account, gas: this.gas, nonce });
+        this.nonces.set(account, nonce + 1);
+        console.log(`Oracle ${account} sent status code ${statusCode} for ${flight}`);
+        return this.update(response, RESPONSE_SENT);
+      } catch (e) {
+        let message = e.message || String(e);
+        if (e.receipt) {
+          // Mined reverts come without a reason, running the call again in that block tells it
+          message = await this.revertReason(method, account, e.receipt.blockNumber) || message;
+        }
+        if (e.receipt || isReverted(message)) {
+          // A mined revert used the nonce, the next transaction gets the one after
+          this.nonces.delete(account);
+          if (SETTLED_REASONS.some((reason) => message.includes(reason))) {
+            console.log(`Oracle ${account} response for ${flight} came after the consensus`);
+            return this.update(response, RESPONSE_SETTLED);
+          }
+          console.log(`Oracle ${account} response for ${flight} reverted: ${message}`);
+          return this.update(response, RESPONSE_FAILED, message);
+        }
+
+        let nonceError = NONCE_ERRORS.some((error) => message.includes(error));
+        let transient = TRANSIENT_ERRORS.some((error) => message.includes(error));
+        if ((!nonceError && !transient) || attempt >= this.retries) {
+          this.nonces.delete(account);
+          console.log(`Oracle ${account} response for ${flight} failed: ${message}`);
+          return this.update(response, RESPONSE_FAILED, message);
+        }
+        // Ask the node for the nonce again, the failed send may or may not have used it. A nonce
+        // the node refused was taken by another transaction, this response still has to go out
+        this.nonces.delete(account);
+        if (transient && nonce !== null && await this.wasSent(account, nonce)) {
+          console.log(`Oracle ${account} response for ${flight} reached the node despite ${message}`);
+          return this.update(response, RESPONSE_SENT);
+        }
+        let wait = this.backoff * 2 ** attempt;
+        console.log(`Oracle ${account} response for ${flight} failed (${message}), retrying in ${wait}ms`);
+        await sleep(wait);
+      }
+    }
+  }
+
+  async nextNonce(account) {
+    if (!this.nonces.has(account)) {
+      this.nonces.set(account, await this.web3.eth.getTransactionCount(account, 'pending'));
+    }
+    return this.nonces.get(account);
+  }
+
+  async revertReason(method, account, blockNumber) {
+    try {
+      await method.call({ from: account, gas: this.gas }, blockNumber);
+      return null;
+    } catch (e) {
+      return e.message;
+    }
+  }
+
+  // Transactions of an account go out one at a time, a used nonce means the last one was sent
+  async wasSent(account, nonce) {
+    try {
+      return await this.web3.eth.getTransactionCount(account, 'pending') > nonce;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  update(response, state, error) {
+    response.state = state;
+    if (error) response.error = error;
+    this.store.save();
+    return response;
+  }
+}
+
+function isReverted(message) {
+  return message.includes('revert') || message.includes('reverted');
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
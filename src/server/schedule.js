@@ -0,0 +1,47 @@
+import fs from 'fs';
+import path from 'path';
+import { parseSchedule, importSchedule as importRows } from '../shared/schedule';
+
+export { IMPORT_REGISTERED, IMPORT_SKIPPED, IMPORT_FAILED, parseSchedule } from '../shared/schedule';
+
+// A batch of 20 flights takes about 3M gas
+const GAS = 6000000;
+
+/**
+ * Reads a flight schedule from a CSV or JSON file, see src/shared/schedule.js. The format
+ * follows the file extension unless given.
+ */
+export function loadSchedule(file, format) {
+  return parseSchedule(fs.readFileSync(file, 'utf-8'), format || path.extname(file).slice(1));
+}
+
+/**
+ * Registers the rows of a schedule as flights of the airline `from`, `batchSize` flights per
+ * transaction. Flights already registered or listed twice are skipped. The result of every row
+ * goes to `onRow` once it is known, all of them are returned in file order.
+ */
+export async function importSchedule({ web3, flightSuretyApp }, rows, { from, batchSize = 20, onRow }) {
+  let methods = flightSuretyApp.methods;
+  return importRows(rows, {
+    now: Number((await web3.eth.getBlock('latest')).timestamp),
+    batchSize,
+    onRow,
+    isRegistered: (row) => methods.isFlightRegistered(from, row.flight, row.departure).call(),
+    registerBatch: async (batch) => {
+      let method = methods.registerFlights(batch.map((row) => row.flight), batch.map((row) => row.departure));
+      try {
+        // A batch that would revert (e.g. the airline isn't funded) is not sent at all
+        await method.call({ from, gas: GAS });
+        await method.send({ from, gas: GAS });
+      } catch (e) {
+        throw new Error(reasonOf(e));
+      }
+    }
+  });
+}
+
+function reasonOf(error) {
+  let message = error.message || String(error);
+  let match = message.match(/revert(?:ed)?:? (.+)$/m);
+  return match ? match[1].trim() : message;
+}
@@ -1,83 +1,156 @@
-import FlightSuretyApp from '../../build/contracts/FlightSuretyApp.json';
-import Config from './config.json';
-import Web3 from 'web3';
 import express from 'express';
+import path from 'path';
+import api from './api';
+import health from './health';
+import EventIndexer from './indexer';
+import OracleResponder from './responder';
+import RequestWatcher from './requestWatcher';
+import WebhookDispatcher from './webhooks';
+import webhookApi from './webhookApi';
+import { loadProfiles } from './profiles';
+import { createProvider } from './providers';
+import mockFlightApi from './mockFlightApi';
 
+/**
+ * Runs the simulated oracles of a deployment and returns the express app serving the API.
+ * `oracleCount` accounts starting at `fromAccount` are registered as oracles and answer
+ * every OracleRequest they are invited to.
+ */
+export default function createServer(context, { oracleCount = 9, fromAccount = 1, requestAccount = 0 } = {}) {
+  let { config, web3, connection, flightSuretyApp, flightSuretyData, registry } = context;
+  console.log(`Using network ${config.name} (${config.url})`);
+  let oracles = new Map();
+  let accounts = [];
+  let indexer = new EventIndexer({
+    web3,
+    contracts: { app: flightSuretyApp, data: flightSuretyData },
+    file: process.env.INDEXER_FILE || path.join(process.cwd(), 'data', 'events.json'),
+    startBlock: process.env.INDEXER_START_BLOCK || config.deployBlock || 0
+  });
+  indexer.start();
+  // Sends the responses one transaction at a time per oracle and remembers the requests answered
+  let responder = new OracleResponder({
+    web3,
+    flightSuretyApp,
+    file: process.env.ORACLE_RESPONSES_FILE || path.join(process.cwd(), 'data', 'responses.json'),
+    appAddress: config.appAddress
+  });
 
-let config = Config['localhost'];
-let web3 = new Web3(new Web3.providers.WebsocketProvider(config.url.replace('http', 'ws')));
-web3.eth.defaultAccount = web3.eth.accounts[0];
-let flightSuretyApp = new web3.eth.Contract(FlightSuretyApp.abi, config.appAddress);
-let oracles = new Map();
+  // Requests without consensus are expired and made again from `requestAccount`
+  let watcher = new RequestWatcher({
+    web3,
+    flightSuretyApp,
+    retries: Number(process.env.REQUEST_RETRIES || 3)
+  });
 
-const TEST_ORACLES_COUNT = 10;
+  // Flight status and payout events are posted to the subscribed partner systems
+  let webhooks = new WebhookDispatcher({
+    indexer,
+    file: process.env.WEBHOOKS_FILE || path.join(process.cwd(), 'data', 'webhooks.json'),
+    retries: Number(process.env.WEBHOOK_RETRIES || 5),
+    backoff: Number(process.env.WEBHOOK_BACKOFF || 1000)
+  });
+  webhooks.start();
 
-const STATUS_CODE_UNKNOWN = 0;
-const STATUS_CODE_ON_TIME = 10;
-const STATUS_CODE_LATE_AIRLINE = 20;
-const STATUS_CODE_LATE_WEATHER = 30;
-const STATUS_CODE_LATE_TECHNICAL = 40;
-const STATUS_CODE_LATE_OTHER = 50;
+  // Behaviour of the simulated oracles, see profiles.js for the file format
+  let profiles = loadProfiles(process.env.ORACLE_PROFILES, process.env.ORACLE_SEED);
 
-(async function () {
-  try {
-    let fee = await flightSuretyApp.methods.REGISTRATION_FEE().call();
-    console.log(fee)
-    let accounts = await web3.eth.getAccounts();
-    console.log(accounts.length)
-    // ACT
-    for (let a = 1; a < TEST_ORACLES_COUNT; a++) {
-      await flightSuretyApp.methods.registerOracle().send({ from: accounts[a], value: fee, gas: 6000000 });
-      let result = await flightSuretyApp.methods.getMyIndexes().call({ from: accounts[a] });
-      console.log(`Oracle Registered: ${result[0]}, ${result[1]}, ${result[2]}`);
-      oracles.set(`${accounts[a]}`, result);
+  // Where oracles get the flight status from: random (default), fixture, http or mock
+  let flightDataType = process.env.FLIGHT_DATA_PROVIDER || 'random';
+  let flightDataFixture = process.env.FLIGHT_DATA_FIXTURE || path.join(process.cwd(), 'src', 'server', 'fixtures', 'flights.csv');
+  let flightDataUrl = process.env.FLIGHT_DATA_URL;
+  if (flightDataType === 'mock') {
+    // Serve the fixture as a flight status API and let oracles query it over HTTP
+    let port = Number(process.env.MOCK_FLIGHT_API_PORT || 3001);
+    mockFlightApi(flightDataFixture).listen(port);
+    flightDataType = 'http';
+    flightDataUrl = `http://localhost:${port}`;
+  }
+  let flightData = createProvider({
+    type: flightDataType,
+    seed: profiles.seed,
+    file: flightDataFixture,
+    url: flightDataUrl
+  });
+
+  (async function () {
+    try {
+      accounts = await web3.eth.getAccounts();
+      // Only accounts missing on chain are registered, the rest is taken over from the registry
+      await registry.sync(flightSuretyApp, accounts.slice(fromAccount, fromAccount + oracleCount));
+      for (let [account, indexes] of registry.entries()) {
+        oracles.set(account, indexes);
+      }
+      await responder.resume();
+      watcher.start(accounts[requestAccount]);
+
+    } catch (e) {
+      console.log(e);
     }
-    console.log(oracles);
+  })();
 
-  } catch (e) {
-    console.log(e);
-  }
-})();
+  // Every (re)connection subscribes again, from the block the server last knew about so
+  // requests made while disconnected are not missed. Requests seen before are skipped.
+  let firstConnect = true;
+  connection.onConnect((head) => {
+    let fromBlock = firstConnect && responder.lastBlock !== null ? Math.min(responder.lastBlock, head) : head;
+    firstConnect = false;
+    console.log(`Listening for oracle requests from block ${fromBlock}`);
+    flightSuretyApp.events.OracleRequest({ fromBlock }, onOracleRequest);
+  });
 
-function generateRandomStatusCode() {
-  let n = Math.random() * 6 * 10;
-  if (n >= 50) return STATUS_CODE_LATE_OTHER;
-  else if (n >= 40) return STATUS_CODE_LATE_TECHNICAL;
-  else if (n >= 30) return STATUS_CODE_LATE_WEATHER;
-  else if (n >= 20) return STATUS_CODE_LATE_AIRLINE;
-  else if (n >= 10) return STATUS_CODE_ON_TIME;
-  else if (n >= 0) return STATUS_CODE_UNKNOWN;
-}
+  async function onOracleRequest(error, result) {
+    if (error) {
+      console.log(`Oracle request subscription failed: ${error.message}`);
+    } else {
+      let { index, airline, flight, timestamp } = result.returnValues;
+      watcher.track(result.returnValues);
+      // The same request can be made again once it expired, the block tells them apart
+      let requestKey = [index, airline, flight, timestamp, result.blockNumber].join(':');
+      // Replayed events, e.g. after a reconnect, are answered only once
+      if (!responder.claim(requestKey, { index, airline, flight, timestamp, blockNumber: result.blockNumber })) {
+        console.log(`Request ${requestKey} was already processed`);
+        return;
+      }
+
+      let invited = [];
+      for (let [account, indexes] of oracles.entries()) {
+        if (indexes.includes(Number(index))) {
+          invited.push({ account, position: accounts.indexOf(account) });
+        }
+      }
 
-flightSuretyApp.events.OracleRequest({
-}, function (error, result) {
-  if (error) {
-    console.log(error);
-  } else {
-    console.log(result);
-    let curIndex = result.returnValues.index;
-    for (let [key, value] of oracles.entries()) {
-      let res;
-      if (value.includes[curIndex]) {
-        res = generateRandomStatusCode();
-        flightSuretyApp.methods.submitOracleResponse(
-          curIndex,
-          result.returnValues.airline,
-          result.returnValues.flight,
-          result.returnValues.timestamp,
-          statusCode
-        ).send({ from: key });
-        console.log('Sent status code' + statusCode);
+      let providerStatus = null;
+      try {
+        providerStatus = await flightData.getStatus(airline, flight, timestamp);
+      } catch (e) {
+        console.log(`Flight data provider failed for ${flight}: ${e.message}`);
       }
+
+      // Answers are planned as the request comes in, there are no reports on chain to pass yet
+      responder.respond(requestKey, profiles.respond(requestKey, invited, [], providerStatus));
     }
   }
-});
 
-const app = express();
-app.get('/api', (req, res) => {
-  res.send({
-    message: 'An API for use with your Dapp!'
-  })
-})
+  const app = express();
+  app.use('/api/webhooks', webhookApi(webhooks));
+  app.use('/api', api({
+    web3,
+    flightSuretyApp,
+    flightSuretyData,
+    registry,
+    indexer,
+    appAddress: config.appAddress,
+    profileOf: (account) => profiles.profileFor(account, accounts.indexOf(account))
+  }));
+  app.use('/health', health({
+    web3,
+    connection,
+    indexer,
+    registry,
+    maxLag: Number(process.env.HEALTH_MAX_LAG || 10),
+    minBalance: process.env.ORACLE_MIN_BALANCE || '0.1'
+  }));
 
-export default app;
+  return app;
+}
@@ -0,0 +1,24 @@
+// Flight status codes, mirrored from FlightSuretyApp
+export const STATUS_CODE_UNKNOWN = 0;
+export const STATUS_CODE_ON_TIME = 10;
+export const STATUS_CODE_LATE_AIRLINE = 20;
+export const STATUS_CODE_LATE_WEATHER = 30;
+export const STATUS_CODE_LATE_TECHNICAL = 40;
+export const STATUS_CODE_LATE_OTHER = 50;
+
+export const STATUS_CODES = [
+  STATUS_CODE_UNKNOWN,
+  STATUS_CODE_ON_TIME,
+  STATUS_CODE_LATE_AIRLINE,
+  STATUS_CODE_LATE_WEATHER,
+  STATUS_CODE_LATE_TECHNICAL,
+  STATUS_CODE_LATE_OTHER
+];
+
+// Delays in the order of the payout terms
+export const DELAY_STATUS_CODES = [
+  STATUS_CODE_LATE_AIRLINE,
+  STATUS_CODE_LATE_WEATHER,
+  STATUS_CODE_LATE_TECHNICAL,
+  STATUS_CODE_LATE_OTHER
+];
@@ -0,0 +1,37 @@
+import fs from 'fs';
+import path from 'path';
+
+/**
+ * Minimal JSON file store used by the server to keep state between restarts.
+ * The whole document is kept in memory and written back on every save().
+ */
+export default class JsonStore {
+  constructor(file, defaults = {}) {
+    this.file = file;
+    this.defaults = defaults;
+    this.data = this.load();
+  }
+
+  load() {
+    try {
+      return Object.assign({}, this.defaults, JSON.parse(fs.readFileSync(this.file, 'utf-8')));
+    } catch (e) {
+      if (e.code !== 'ENOENT') {
+        console.log(`Could not read ${this.file}, starting with an empty store: ${e.message}`);
+      }
+      return JSON.parse(JSON.stringify(this.defaults));
+    }
+  }
+
+  save() {
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    // Write to a temp file first so a crash never leaves a half written store behind
+    let tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, '\t'), 'utf-8');
+    fs.renameSync(tmp, this.file);
+  }
+
+  reset() {
+    this.data = JSON.parse(JSON.stringify(this.defaults));
+  }
+}
@@ -0,0 +1,92 @@
+import express from 'express';
+import { WEBHOOK_EVENTS } from './webhooks';
+import { NotFound, BadRequest, handle } from './api';
+
+/**
+ * Manages the webhook subscriptions of the dispatcher. A subscription is created with the
+ * `url` to post to, the event `events` it wants (all of them by default) and optionally its
+ * own `secret`; the secret the payloads are signed with is only returned on creation.
+ */
+export default function webhookApi(webhooks) {
+  const router = express.Router();
+  router.use(express.json());
+
+  router.get('/', handle(async () => {
+    return webhooks.subscriptions();
+  }));
+
+  router.post('/', (req, res) => {
+    try {
+      res.status(201).send(webhooks.subscribe(subscriptionParams(req.body || {})));
+    } catch (e) {
+      res.status(e.status || 500).send({ error: e.message });
+    }
+  });
+
+  router.get('/events', handle(async () => {
+    return Object.keys(WEBHOOK_EVENTS);
+  }));
+
+  router.get('/dead-letters', handle(async () => {
+    return webhooks.deadLetters();
+  }));
+
+  router.post('/dead-letters/:id/redeliver', handle(async (req) => {
+    if (!webhooks.redeliver(req.params.id)) {
+      throw new NotFound(`No dead letter ${req.params.id} with an active subscription`);
+    }
+    return { id: req.params.id, queued: true };
+  }));
+
+  router.get('/:id', handle(async (req) => {
+    return subscriptionOf(req.params.id);
+  }));
+
+  router.delete('/:id', handle(async (req) => {
+    subscriptionOf(req.params.id);
+    webhooks.unsubscribe(req.params.id);
+    return { id: req.params.id, deleted: true };
+  }));
+
+  // Every attempt to deliver to the subscription, oldest first
+  router.get('/:id/deliveries', handle(async (req) => {
+    subscriptionOf(req.params.id);
+    return webhooks.deliveries(req.params.id);
+  }));
+
+  function subscriptionOf(id) {
+    let subscription = webhooks.subscriptions().find((subscription) => subscription.id === id);
+    if (!subscription) {
+      throw new NotFound(`No webhook subscription ${id}`);
+    }
+    return subscription;
+  }
+
+  return router;
+}
+
+function subscriptionParams({ url, events, secret }) {
+  let protocol;
+  try {
+    protocol = new URL(url).protocol;
+  } catch (e) {
+    throw new BadRequest(`${url} is not a URL`);
+  }
+  if (protocol !== 'http:' && protocol !== 'https:') {
+    throw new BadRequest(`${url} is not an http(s) URL`);
+  }
+
+  if (events !== undefined) {
+    if (!Array.isArray(events) || events.length === 0) {
+      throw new BadRequest('events must be a list of event types');
+    }
+    let unknown = events.filter((type) => !WEBHOOK_EVENTS[type]);
+    if (unknown.length > 0) {
+      throw new BadRequest(`Unknown event types ${unknown.join(', ')}, expected ${Object.keys(WEBHOOK_EVENTS).join(', ')}`);
+    }
+  }
+  if (secret !== undefined && (typeof secret !== 'string' || secret.length < 16)) {
+    throw new BadRequest('secret must be a string of at least 16 characters');
+  }
+  return { url, events, secret };
+}
@@ -0,0 +1,274 @@
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import Web3 from 'web3';
+import JsonStore from './store';
+
+// Webhook event types and the contract event each one is built from
+export const WEBHOOK_EVENTS = {
+  'flight.status': 'FlightStatusInfo',
+  'passenger.credited': 'InsureeCredited',
+  'passenger.paid': 'InsureePaid'
+};
+
+export const SIGNATURE_HEADER = 'X-FlightSurety-Signature';
+
+/**
+ * HMAC-SHA256 of a payload as sent in the signature header, receivers compute it over the
+ * raw request body with the secret of their subscription and compare.
+ */
+export function sign(secret, body) {
+  return 'sha256=' + crypto.createHmac('sha256', secret).update(body).digest('hex');
+}
+
+/**
+ * Posts the flight status and payout events to the subscribed URLs.
+ *
+ * New events are taken from the indexer, so only what was indexed after the dispatcher first
+ * ran is sent. Each event becomes a delivery per subscription whose filter matches it. A failed
+ * delivery (no answer, or anything but a 2xx) is tried again with exponential backoff and ends
+ * up in the dead letters after `retries` more attempts, from where it can be redelivered.
+ * Subscriptions, queued deliveries, dead letters and the log of attempts are kept in `file`.
+ */
+export default class WebhookDispatcher {
+  constructor({ indexer, file, retries = 5, backoff = 1000, maxBackoff = 60000, timeout = 5000, pollInterval = 1000, logSize = 500 }) {
+    this.indexer = indexer;
+    this.retries = retries;
+    this.backoff = backoff;
+    this.maxBackoff = maxBackoff;
+    this.timeout = timeout;
+    this.pollInterval = pollInterval;
+    this.logSize = logSize;
+    this.sending = new Set();
+    this.timer = null;
+    this.store = new JsonStore(file, { lastBlock: null, subscriptions: [], queue: [], deadLetters: [], log: [] });
+  }
+
+  start() {
+    let poll = async () => {
+      try {
+        this.sync();
+        await this.flush();
+      } catch (e) {
+        console.log(`Webhook delivery failed: ${e.message}`);
+      }
+      this.timer = setTimeout(poll, this.pollInterval);
+    };
+    return poll();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    this.timer = null;
+  }
+
+  subscribe({ url, events = Object.keys(WEBHOOK_EVENTS), secret = crypto.randomBytes(32).toString('hex') }) {
+    let subscription = {
+      id: crypto.randomUUID(),
+      url,
+      events,
+      secret,
+      createdAt: new Date().toISOString()
+    };
+    this.store.data.subscriptions.push(subscription);
+    this.store.save();
+    return subscription;
+  }
+
+  // Deliveries still queued for the subscription are dropped with it
+  unsubscribe(id) {
+    let data = this.store.data;
+    let count = data.subscriptions.length;
+    data.subscriptions = data.subscriptions.filter((subscription) => subscription.id !== id);
+    data.queue = data.queue.filter((delivery) => delivery.subscription !== id);
+    this.store.save();
+    return data.subscriptions.length < count;
+  }
+
+  getSubscription(id) {
+    return this.store.data.subscriptions.find((subscription) => subscription.id === id);
+  }
+
+  // Subscriptions without their secret, which is only handed out when subscribing
+  subscriptions() {
+    return this.store.data.subscriptions.map(({ secret, ...subscription }) => subscription);
+  }
+
+  deliveries(subscription) {
+    return this.store.data.log.filter((entry) => !subscription || entry.subscription === subscription);
+  }
+
+  deadLetters() {
+    return this.store.data.deadLetters;
+  }
+
+  /**
+   * Queues the indexed events since the last sync. The first sync starts from where the
+   * indexer is, and so does the sync after the indexer started over on a new chain.
+   */
+  sync() {
+    let data = this.store.data;
+    let head = this.indexer.lastBlock;
+    if (data.lastBlock === null || head < data.lastBlock) {
+      data.lastBlock = head;
+      this.store.save();
+      return;
+    }
+    if (head === data.lastBlock) return;
+
+    let events = this.indexer.query({ event: Object.values(WEBHOOK_EVENTS), fromBlock: data.lastBlock + 1, toBlock: head });
+    events.forEach((event) => this.dispatch(event));
+    data.lastBlock = head;
+    this.store.save();
+  }
+
+  // Queues an indexed event for every subscription interested in it
+  dispatch(event) {
+    let type = Object.keys(WEBHOOK_EVENTS).find((key) => WEBHOOK_EVENTS[key] === event.event);
+    let payload = {
+      id: `${event.transactionHash}:${event.logIndex}`,
+      type,
+      blockNumber: event.blockNumber,
+      transactionHash: event.transactionHash,
+      createdAt: new Date().toISOString(),
+      data: payloadData(event)
+    };
+    let deliveries = this.store.data.subscriptions
+      .filter((subscription) => subscription.events.includes(type))
+      .map((subscription) => ({
+        id: crypto.randomUUID(),
+        subscription: subscription.id,
+        payload,
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null
+      }));
+    this.store.data.queue.push(...deliveries);
+    this.store.save();
+    return deliveries;
+  }
+
+  // Sends the deliveries that are due
+  flush(now = Date.now()) {
+    let due = this.store.data.queue.filter((delivery) => delivery.nextAttemptAt <= now && !this.sending.has(delivery.id));
+    return Promise.all(due.map((delivery) => this.deliver(delivery)));
+  }
+
+  async deliver(delivery) {
+    let subscription = this.getSubscription(delivery.subscription);
+    if (!subscription) return;
+    this.sending.add(delivery.id);
+
+    let body = JSON.stringify(delivery.payload);
+    let startedAt = Date.now();
+    let status = null;
+    let error = null;
+    try {
+      status = await this.post(subscription.url, body, {
+        'Content-Type': 'application/json',
+        'X-FlightSurety-Event': delivery.payload.type,
+        'X-FlightSurety-Delivery': delivery.id,
+        [SIGNATURE_HEADER]: sign(subscription.secret, body)
+      });
+      if (status < 200 || status >= 300) error = `Receiver answered ${status}`;
+    } catch (e) {
+      error = e.message;
+    }
+    this.sending.delete(delivery.id);
+
+    delivery.attempts++;
+    this.record({
+      delivery: delivery.id,
+      subscription: subscription.id,
+      url: subscription.url,
+      type: delivery.payload.type,
+      event: delivery.payload.id,
+      attempt: delivery.attempts,
+      status,
+      error,
+      duration: Date.now() - startedAt,
+      at: new Date(startedAt).toISOString()
+    });
+
+    let data = this.store.data;
+    if (!error) {
+      data.queue = data.queue.filter((queued) => queued !== delivery);
+    } else if (delivery.attempts > this.retries) {
+      console.log(`Webhook ${delivery.payload.type} to ${subscription.url} failed ${delivery.attempts} times, giving up: ${error}`);
+      data.queue = data.queue.filter((queued) => queued !== delivery);
+      let { nextAttemptAt, ...letter } = delivery;
+      data.deadLetters.push({ ...letter, lastError: error, failedAt: new Date().toISOString() });
+    } else {
+      let wait = Math.min(this.backoff * 2 ** (delivery.attempts - 1), this.maxBackoff);
+      console.log(`Webhook ${delivery.payload.type} to ${subscription.url} failed (${error}), retrying in ${wait}ms`);
+      delivery.lastError = error;
+      delivery.nextAttemptAt = Date.now() + wait;
+    }
+    this.store.save();
+    return delivery;
+  }
+
+  /**
+   * Queues a dead letter again with a fresh set of attempts, returns false when there is
+   * no such dead letter or its subscription was removed.
+   */
+  redeliver(id) {
+    let data = this.store.data;
+    let letter = data.deadLetters.find((delivery) => delivery.id === id);
+    if (!letter || !this.getSubscription(letter.subscription)) return false;
+    data.deadLetters = data.deadLetters.filter((delivery) => delivery !== letter);
+    let { failedAt, ...delivery } = letter;
+    data.queue.push({ ...delivery, attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+    this.store.save();
+    return true;
+  }
+
+  // Only the latest `logSize` attempts are kept
+  record(entry) {
+    let log = this.store.data.log;
+    log.push(entry);
+    if (log.length > this.logSize) {
+      log.splice(0, log.length - this.logSize);
+    }
+  }
+
+  post(url, body, headers) {
+    let client = url.startsWith('https') ? https : http;
+    return new Promise((resolve, reject) => {
+      let req = client.request(url, {
+        method: 'POST',
+        timeout: this.timeout,
+        headers: { ...headers, 'Content-Length': Buffer.byteLength(body) }
+      }, (res) => {
+        // The answer itself doesn't matter, only its status
+        res.resume();
+        res.on('end', () => resolve(res.statusCode));
+      });
+      req.on('timeout', () => req.destroy(new Error(`No answer within ${this.timeout}ms`)));
+      req.on('error', reject);
+      req.end(body);
+    });
+  }
+}
+
+// What partners get of each event, amounts in wei
+function payloadData({ event, returnValues }) {
+  switch (event) {
+    case 'FlightStatusInfo':
+      return {
+        flightKey: Web3.utils.soliditySha3(
+          { t: 'address', v: returnValues.airline },
+          { t: 'string', v: returnValues.flight },
+          { t: 'uint256', v: returnValues.timestamp }
+        ),
+        airline: returnValues.airline,
+        flight: returnValues.flight,
+        departure: Number(returnValues.timestamp),
+        statusCode: Number(returnValues.status)
+      };
+    case 'InsureeCredited':
+      return { passenger: returnValues.passenger, flightKey: returnValues.flightKey, amount: returnValues.value };
+    case 'InsureePaid':
+      return { passenger: returnValues.passenger, amount: returnValues.value };
+  }
+}
@@ -0,0 +1,49 @@
+// Checks the dapp and the server run on start, and the ABI hash the migrations record for them.
+// CommonJS like config/, so the migrations can require it too
+const Web3 = require('web3');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+
+// Only the fields of the ABI spec count, truffle and web3 add some of their own to the ABI they are given
+function abiHash(abi) {
+    let entries = abi.map(({ type, name, inputs, outputs, stateMutability, anonymous }) =>
+        ({ type, name, inputs, outputs, stateMutability, anonymous }));
+    return Web3.utils.sha3(JSON.stringify(entries));
+}
+
+/**
+ * Makes sure the app contract of the config is the one the `client` (dapp or server) was built
+ * for and the one the data contract serves, resolves with its version. Rejects with what doesn't
+ * match, e.g. after an upgrade (migrations/3_upgrade_app.js) when the config or the build wasn't
+ * updated. Checks the config has no record of (deployments before versions were recorded) are skipped.
+ */
+async function checkDeployment({ config, web3, flightSuretyApp, flightSuretyData }, client = 'server') {
+    let where = `app contract ${config.appAddress}${config.name ? ` on ${config.name}` : ''}`;
+    if (await web3.eth.getCode(config.appAddress) === '0x') {
+        throw new Error(`There is no ${where}, deploy with truffle migrate`);
+    }
+    if (config.appAbiHash && abiHash(flightSuretyApp.options.jsonInterface) !== config.appAbiHash) {
+        throw new Error(`The ${client} was built with another FlightSuretyApp ABI than the ${where}, build it again`);
+    }
+
+    let methods = flightSuretyApp.methods;
+    let version = await methods.VERSION().call();
+    let expected = config.versions && config.versions.FlightSuretyApp;
+    if (expected && version !== expected) {
+        throw new Error(`The ${where} is version ${version}, the ${client} expects ${expected}`);
+    }
+    let successor = await methods.successor().call();
+    if (successor !== ZERO_ADDRESS) {
+        throw new Error(`The ${where} was upgraded to ${successor}, build the ${client} with the config written by the upgrade`);
+    }
+    let callers = await flightSuretyData.methods.getAuthorizedCallers().call();
+    if (!callers.some((caller) => caller.toLowerCase() === config.appAddress.toLowerCase())) {
+        throw new Error(`The ${where} is not authorized on the data contract ${config.dataAddress}`);
+    }
+    return version;
+}
+
+module.exports = {
+    abiHash,
+    checkDeployment
+};
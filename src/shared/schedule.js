@@ -0,0 +1,134 @@
+// Flight schedules as the server's schedule command and the dapp's import read and register them.
+// CommonJS like config/, so the server, the dapp and node scripts can all require it
+
+// What became of a row of the schedule
+const IMPORT_REGISTERED = 'registered';
+const IMPORT_SKIPPED = 'skipped';
+const IMPORT_FAILED = 'failed';
+
+// Origin and destination airport (IATA codes)
+const ROUTE = /^[A-Z]{3}-[A-Z]{3}$/;
+
+/**
+ * Checks every record of a schedule: CSV with a header row, e.g.
+ *
+ *     flight,route,departure
+ *     ND1309,AMS-JFK,2024-06-01T09:30:00Z
+ *
+ * or a JSON array of such records (also as `{ "flights": [...] }`). Departures are dates or unix
+ * seconds. Rows are numbered from 1 in file order and carry the reason they can't be registered
+ * as `error`.
+ */
+function parseSchedule(content, format = 'json') {
+    let records;
+    if (format.toLowerCase() === 'csv') {
+        records = parseCsv(content);
+    } else {
+        let data = JSON.parse(content);
+        records = Array.isArray(data) ? data : data && data.flights;
+        if (!Array.isArray(records)) {
+            throw new Error('A JSON schedule is an array of flights or an object with a flights array');
+        }
+    }
+    return records.map((record, i) => checkRow(i + 1, record || {}));
+}
+
+function checkRow(row, record) {
+    let flight = String(record.flight || '').trim();
+    let route = String(record.route || '').trim().toUpperCase();
+    let departure = record.departure === undefined || record.departure === '' ? NaN : toDeparture(record.departure);
+    let error = null;
+    if (!flight) {
+        error = 'A flight needs a number';
+    } else if (!ROUTE.test(route)) {
+        error = `Route "${record.route || ''}" has to be the origin and destination airport codes, e.g. AMS-JFK`;
+    } else if (isNaN(departure)) {
+        error = `Departure "${record.departure || ''}" is neither a date nor unix seconds`;
+    }
+    return { row, flight, route, departure, error };
+}
+
+// Departure as unix seconds, given either as seconds or as a date string
+function toDeparture(departure) {
+    return isNaN(Number(departure)) ? Math.floor(Date.parse(departure) / 1000) : Number(departure);
+}
+
+// Plain comma separated values with a header row, quoting is not supported
+function parseCsv(content) {
+    let [header, ...rows] = content.split(/\r?\n/).filter((line) => line.trim() !== '');
+    let columns = (header || '').split(',').map((column) => column.trim());
+    return rows.map((row) => {
+        let values = row.split(',');
+        return columns.reduce((record, column, i) => {
+            record[column] = (values[i] || '').trim();
+            return record;
+        }, {});
+    });
+}
+
+/**
+ * Registers the rows of a schedule `batchSize` flights at a time. Flights departed by `now`
+ * (unix seconds) fail, flights already registered or listed twice are skipped.
+ *
+ * `isRegistered(row)` resolves whether the airline has the flight, `registerBatch(rows)` sends
+ * one batch and rejects with the reason when it can't be registered. The result of every row
+ * goes to `onRow` once it is known, all of them are returned in file order.
+ */
+async function importSchedule(rows, { now, batchSize = 20, isRegistered, registerBatch, onRow = () => {} }) {
+    if (!(batchSize >= 1)) {
+        throw new Error('A batch needs at least one flight');
+    }
+    let results = [];
+    let report = (row, status, reason = null) => {
+        let result = { row: row.row, flight: row.flight, route: row.route, departure: row.departure, status, reason };
+        results.push(result);
+        onRow(result);
+    };
+
+    let seen = new Map();
+    let pending = [];
+    for (let row of rows) {
+        let key = `${row.flight}@${row.departure}`;
+        if (row.error) {
+            report(row, IMPORT_FAILED, row.error);
+        } else if (seen.has(key)) {
+            report(row, IMPORT_SKIPPED, `Same flight as row ${seen.get(key)}`);
+        } else if (row.departure <= now) {
+            report(row, IMPORT_FAILED, 'Departure has to be in the future');
+        } else if (await isRegistered(row)) {
+            report(row, IMPORT_SKIPPED, 'Flight is already registered');
+        } else {
+            pending.push(row);
+        }
+        if (!row.error && !seen.has(key)) seen.set(key, row.row);
+    }
+
+    for (let i = 0; i < pending.length; i += batchSize) {
+        let batch = pending.slice(i, i + batchSize);
+        try {
+            await registerBatch(batch);
+        } catch (e) {
+            batch.forEach((row) => report(row, IMPORT_FAILED, e.message));
+            continue;
+        }
+        // The contract skips flights that departed by the time the batch was mined
+        for (let row of batch) {
+            if (await isRegistered(row)) {
+                report(row, IMPORT_REGISTERED);
+            } else {
+                report(row, IMPORT_FAILED, 'Departed before the batch was mined');
+            }
+        }
+    }
+    return results.sort((a, b) => a.row - b.row);
+}
+
+module.exports = {
+    IMPORT_REGISTERED,
+    IMPORT_SKIPPED,
+    IMPORT_FAILED,
+    parseSchedule,
+    parseCsv,
+    toDeparture,
+    importSchedule
+};
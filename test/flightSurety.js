@@ -1,15 +1,19 @@
 
 var Test = require('../config/testConfig.js');
+var FlightSuretyApp = artifacts.require("FlightSuretyApp");
 var BigNumber = require('bignumber.js');
 var Web3 = require('web3');
 
 contract('Flight Surety Tests', async (accounts) => {
 
   var config;
+  // Scheduled departure of the test flights, a day after the chain's current time
+  var departure;
   before('setup contract', async () => {
     config = await Test.Config(accounts);
     await config.flightSuretyData.authorizeCaller(config.flightSuretyApp.address);
     await config.flightSuretyApp.registerAirline(config.firstAirline, "AIR1");
+    departure = Number((await web3.eth.getBlock('latest')).timestamp) + 24 * 3600;
   });
 
   // Watch contract events
@@ -79,6 +83,24 @@ contract('Flight Surety Tests', async (accounts) => {
 
   });
 
+  it(`(multiparty) records operating status and caller authorization changes for the audit trail`, async function () {
+
+    let other = config.testAddresses[3];
+    await config.flightSuretyData.authorizeCaller(other);
+    assert.deepEqual(await config.flightSuretyData.getAuthorizedCallers.call(), [config.flightSuretyApp.address, other], "Authorized callers should be listed");
+
+    await config.flightSuretyData.deauthorizeCaller(other);
+    assert.deepEqual(await config.flightSuretyData.getAuthorizedCallers.call(), [config.flightSuretyApp.address], "Deauthorized caller should be removed");
+
+    let statuses = await config.flightSuretyData.getPastEvents('OperatingStatusChanged', { fromBlock: 0 });
+    assert.deepEqual(statuses.map(e => e.returnValues.mode), [false, false, true], "Every status change should be emitted");
+    let authorized = await config.flightSuretyData.getPastEvents('CallerAuthorized', { fromBlock: 0 });
+    assert.deepEqual(authorized.map(e => e.returnValues.caller), [config.flightSuretyApp.address, other], "Every authorization should be emitted");
+    let deauthorized = await config.flightSuretyData.getPastEvents('CallerDeauthorized', { fromBlock: 0 });
+    assert.deepEqual(deauthorized.map(e => e.returnValues.caller), [other], "Every deauthorization should be emitted");
+
+  });
+
   it('(airline) cannot register an Airline using registerAirline() if it is not funded', async () => {
 
     // ARRANGE
@@ -142,38 +164,100 @@ contract('Flight Surety Tests', async (accounts) => {
   it('Airline can be registered, but does not participate in contract until it submits funding of 10 ether', async () => {
     let testFlight = "Test Flight";
     try {
-      await config.flightSuretyApp.registerFlight(testFlight, { from: accounts[5] });
+      await config.flightSuretyApp.registerFlight(testFlight, departure, { from: accounts[5] });
     } catch (e) { }
-    assert.equal(await config.flightSuretyApp.isFlightRegistered.call(testFlight), false, "The flight should not be registered");
+    assert.equal(await config.flightSuretyApp.isFlightRegistered.call(accounts[5], testFlight, departure), false, "The flight should not be registered");
 
     await config.flightSuretyApp.fund({ from: accounts[5], value: Web3.utils.toWei('10', 'ether') });
-    await config.flightSuretyApp.registerFlight(testFlight, { from: accounts[5] });
-    assert.equal(await config.flightSuretyApp.isFlightRegistered.call(testFlight), true, "The flight should be registered");
+    await config.flightSuretyApp.registerFlight(testFlight, departure, { from: accounts[5] });
+    assert.equal(await config.flightSuretyApp.isFlightRegistered.call(accounts[5], testFlight, departure), true, "The flight should be registered");
+  });
+
+  it('Airline and flight registrations are recorded as events', async () => {
+    let airlines = await config.flightSuretyData.getPastEvents('AirlineRegistered', { fromBlock: 0 });
+    assert.deepEqual(airlines.map(e => e.returnValues.name), ["AIR1", "AIR3", "AIR4", "AIR5", "AIR6"], "All registered airlines should be emitted");
+
+    let funded = await config.flightSuretyData.getPastEvents('AirlineFunded', { fromBlock: 0 });
+    assert.equal(funded.length, 4, "Every funding should be emitted");
+
+    let flights = await config.flightSuretyData.getPastEvents('FlightRegistered', { fromBlock: 0 });
+    assert.equal(flights[0].returnValues.flight, "Test Flight", "Registered flight should be emitted");
+    assert.equal(flights[0].returnValues.airline, accounts[5], "Flight should be emitted with its airline");
+    assert.equal(flights[0].returnValues.departure, departure, "Flight should be emitted with its departure");
+  });
+
+  it('Funding an airline again adds to its funds but is counted once', async () => {
+    let airline = accounts[5];
+    let data = config.flightSuretyData;
+    // The data contract funds the airline that sent the transaction, only from an authorized caller
+    await data.authorizeCaller(airline);
+    let funded = await data.getAirlinesFunded.call({ from: airline });
+    let funds = (await data.getAirlineAccount.call(airline, { from: airline })).funds;
+
+    await web3.eth.sendTransaction({ from: airline, to: data.address, value: Web3.utils.toWei('1', 'ether') });
+    await data.fund(airline, { from: airline, value: Web3.utils.toWei('1', 'ether') });
+
+    assert.equal(Number(await data.getAirlinesFunded.call({ from: airline })), Number(funded), "Funding twice should not count the airline again");
+    let account = await data.getAirlineAccount.call(airline, { from: airline });
+    assert.equal(account.funds, Web3.utils.toBN(funds).add(Web3.utils.toBN(Web3.utils.toWei('2', 'ether'))).toString(), "Every funding should add to the airline's funds");
+    await data.deauthorizeCaller(airline);
+  });
+
+  it('Candidate airlines, their voters and the votes required can be read while voting is open', async () => {
+    let candidate = accounts[7];
+    await config.flightSuretyApp.registerAirline(candidate, "AIR7", { from: config.firstAirline });
+
+    assert.deepEqual(await config.flightSuretyApp.getCandidates.call(), [candidate], "Proposed airline should be a candidate");
+    let info = await config.flightSuretyApp.getCandidate.call(candidate);
+    assert.equal(info.name, "AIR7", "Candidate should keep the proposed name");
+    assert.deepEqual(info.voters, [config.firstAirline], "Proposer should be the first voter");
+    assert.equal(await config.flightSuretyApp.getVotesRequired.call(), 2, "Half of the 5 registered airlines have to vote");
+    assert.equal(await config.flightSuretyApp.hasVoted.call(candidate, config.firstAirline), true, "Vote should be recorded");
+
+    let reason = null;
+    try {
+      await config.flightSuretyApp.registerAirline(candidate, "AIR7", { from: config.firstAirline });
+    } catch (e) {
+      reason = e.reason;
+    }
+    assert.equal(reason, "Caller has already voted!", "Duplicate vote should be rejected");
+    assert.equal(await reasonOf(config.flightSuretyApp.registerAirline(accounts[8], "AIR3", { from: config.firstAirline })), "Airline with such name already exists", "A name already registered should not be proposed");
+    assert.deepEqual(await config.flightSuretyApp.getCandidates.call(), [candidate], "Rejected proposal should not be a candidate");
+
+    await config.flightSuretyApp.registerAirline(candidate, "AIR7", { from: accounts[2] });
+    assert.equal(await config.flightSuretyApp.isAirline.call(candidate), true, "Candidate should be registered with enough votes");
+    assert.deepEqual(await config.flightSuretyApp.getCandidates.call(), [], "Registered airline should no longer be a candidate");
+
+    let votes = await config.flightSuretyApp.getPastEvents('AirlineVoted', { fromBlock: 0 });
+    assert.deepEqual(votes.filter(e => e.returnValues.candidate === candidate).map(e => e.returnValues.votes), ["1", "2"], "Every vote should be emitted");
   });
 
   it('Passenger may pay up to 1 ether for purchasing flight insurance', async () => {
     let flight = "ND0001";
     let passenger = accounts[6];
     let airline = accounts[2];
-    await config.flightSuretyApp.registerFlight(flight, {from: airline});
+    await config.flightSuretyApp.registerFlight(flight, departure, {from: airline});
     try {
-      await config.flightSuretyApp.buy(airline, flight, { from: passenger, value: Web3.utils.toWei('2', 'ether') });
+      await config.flightSuretyApp.buy(airline, flight, departure, { from: passenger, value: Web3.utils.toWei('2', 'ether') });
     } catch (e) {
       // console.log(e);
       // This should fail on modifier: Too high insurance value
     }
-    await config.flightSuretyApp.buy(airline, flight, { from: passenger, value: Web3.utils.toWei('1', 'ether') });
+    await config.flightSuretyApp.buy(airline, flight, departure, { from: passenger, value: Web3.utils.toWei('1', 'ether') });
 
-    assert.equal(await config.flightSuretyData.getFlightInsurance(passenger, flight, { from: config.flightSuretyApp.address }), Web3.utils.toWei('1', 'ether'), "Passenger should buy insurance up to 1 ether");
+    let flightKey = await config.flightSuretyApp.getFlightKey.call(airline, flight, departure);
+    assert.equal(await config.flightSuretyData.getFlightInsurance(passenger, flightKey, { from: config.flightSuretyApp.address }), Web3.utils.toWei('1', 'ether'), "Passenger should buy insurance up to 1 ether");
   });
 
   it('If flight is delayed due to airline fault, passenger receives credit of 1.5X the amount they paid', async () => {
     let flight = "ND0001";
     let passenger = accounts[6];
     let airline = accounts[2];
-    let timestamp = Math.floor(Date.now() / 1000);
-    let insuranceValue = await config.flightSuretyData.getFlightInsurance(passenger, flight, { from: config.flightSuretyApp.address });
-    await config.flightSuretyApp.processFlightStatus(airline, flight, timestamp, STATUS_CODE_LATE_AIRLINE);
+    let flightKey = await config.flightSuretyApp.getFlightKey.call(airline, flight, departure);
+    let insuranceValue = await config.flightSuretyData.getFlightInsurance(passenger, flightKey, { from: config.flightSuretyApp.address });
+    await reachConsensus(airline, flight, departure, STATUS_CODE_LATE_AIRLINE);
+    assert.equal(await config.flightSuretyApp.getClaimable.call(passenger, flightKey), insuranceValue * 1.5, "Payout should be claimable once the status is known");
+    await config.flightSuretyApp.claim(flightKey, { from: passenger });
     let creditValue = await config.flightSuretyData.getPassengerCredit(passenger, { from: config.flightSuretyApp.address });
     //console.log(`Credit: ${creditValue}, Insurance: ${insuranceValue}`);
     assert.equal(creditValue, insuranceValue*1.5, "Credit value should be 1.5x of insurance value");
@@ -194,4 +278,591 @@ contract('Flight Surety Tests', async (accounts) => {
     assert.equal(creditAfter, creditBefore - payoutAmount, "Passenger payout was not made correctly");
   });
 
+  it('Passenger can read their remaining credit through the app contract', async () => {
+    let passenger = accounts[6];
+    let credit = await config.flightSuretyApp.getPassengerCredit.call(passenger);
+    assert.equal(credit, Web3.utils.toWei('0.5', 'ether'), "Remaining credit should be readable by the passenger");
+  });
+
+  it('Insurance purchases, credits and payouts are recorded as events', async () => {
+    let passenger = accounts[6];
+
+    let bought = await config.flightSuretyData.getPastEvents('InsuranceBought', { fromBlock: 0 });
+    assert.equal(bought.length, 1, "Insurance purchase should be emitted");
+    assert.equal(bought[0].returnValues.passenger, passenger, "Purchase should be emitted with the passenger");
+    assert.equal(bought[0].returnValues.value, Web3.utils.toWei('1', 'ether'), "Purchase should be emitted with the premium");
+
+    let credited = await config.flightSuretyData.getPastEvents('InsureeCredited', { fromBlock: 0 });
+    assert.equal(credited[0].returnValues.value, Web3.utils.toWei('1.5', 'ether'), "Credit should be emitted with the payout value");
+
+    let paid = await config.flightSuretyData.getPastEvents('InsureePaid', { fromBlock: 0 });
+    assert.equal(paid[0].returnValues.value, Web3.utils.toWei('1', 'ether'), "Withdrawal should be emitted");
+  });
+
+  it('Payouts follow the terms of the delay cause and airline at the time of purchase', async () => {
+    let flight = "ND0003";
+    let passenger = accounts[8];
+    let airline = accounts[3];
+    // Settling the flights before moved the chain's clock past the shared departure
+    let departure = Number((await web3.eth.getBlock('latest')).timestamp) + 24 * 3600;
+    await config.flightSuretyApp.registerFlight(flight, departure, { from: airline });
+    assert.deepEqual((await config.flightSuretyApp.getPayoutTerms.call(airline)).map(Number), [150, 0, 0, 0], "Only airline delays should pay out by default");
+
+    await config.flightSuretyApp.setPayout(STATUS_CODE_LATE_WEATHER, 120);
+    await config.flightSuretyApp.setAirlinePayout(airline, STATUS_CODE_LATE_AIRLINE, 200, { from: airline });
+    let reason = null;
+    try {
+      await config.flightSuretyApp.setAirlinePayout(airline, STATUS_CODE_LATE_AIRLINE, 500, { from: passenger });
+    } catch (e) {
+      reason = e.reason;
+    }
+    assert.equal(reason, "Caller is not the airline or contract owner", "Only the airline or owner should set its payouts");
+    assert.deepEqual((await config.flightSuretyApp.getPayoutTerms.call(airline)).map(Number), [200, 120, 0, 0], "Airline payout should override the default");
+    assert.deepEqual((await config.flightSuretyApp.getPayoutTerms.call(accounts[2])).map(Number), [150, 120, 0, 0], "Other airlines should keep the defaults");
+
+    await config.flightSuretyApp.buy(airline, flight, departure, { from: passenger, value: Web3.utils.toWei('0.4', 'ether') });
+    await config.flightSuretyApp.setPayout(STATUS_CODE_LATE_WEATHER, 300);
+    await config.flightSuretyApp.clearAirlinePayout(airline, STATUS_CODE_LATE_AIRLINE, { from: config.owner });
+    assert.deepEqual((await config.flightSuretyApp.getPayoutTerms.call(airline)).map(Number), [150, 300, 0, 0], "Cleared payout should fall back to the default");
+
+    let flightKey = await config.flightSuretyApp.getFlightKey.call(airline, flight, departure);
+    assert.deepEqual((await config.flightSuretyApp.getInsuranceTerms.call(passenger, flightKey)).map(Number), [200, 120, 0, 0], "Insurance should keep the terms it was bought with");
+
+    await reachConsensus(airline, flight, departure, STATUS_CODE_LATE_WEATHER);
+    await config.flightSuretyApp.claim(flightKey, { from: passenger });
+    let credit = await config.flightSuretyApp.getPassengerCredit.call(passenger);
+    assert.equal(credit, Web3.utils.toWei('0.48', 'ether'), "Weather delay should pay 1.2x under the terms at purchase");
+  });
+
+  it('Airline funds have to cover the highest payout of every active insurance', async () => {
+    let flight = "ND0004";
+    let passenger = accounts[8];
+    let airline = accounts[3];
+    let departure = Number((await web3.eth.getBlock('latest')).timestamp) + 24 * 3600;
+    let ether = (value) => Web3.utils.toWei(value, 'ether');
+    let solvency = await config.flightSuretyApp.getAirlineSolvency.call(airline);
+    assert.equal(solvency.funds, ether('10'), "Airline funds should be tracked");
+    assert.equal(solvency.premiums, ether('0.4'), "Premiums should be tracked");
+    assert.equal(solvency.claims, ether('0.48'), "Credited claims should be tracked");
+    assert.equal(solvency.exposure, 0, "Credited insurance should no longer be exposure");
+
+    await config.flightSuretyApp.registerFlight(flight, departure, { from: airline });
+    await config.flightSuretyApp.setAirlinePayout(airline, STATUS_CODE_LATE_AIRLINE, 5000, { from: airline });
+    let reason = null;
+    try {
+      await config.flightSuretyApp.buy(airline, flight, departure, { from: passenger, value: ether('0.5') });
+    } catch (e) {
+      reason = e.reason;
+    }
+    assert.equal(reason, "Airline funds can't cover this insurance", "Insurance the airline can't pay out should be rejected");
+
+    await config.flightSuretyApp.buy(airline, flight, departure, { from: passenger, value: ether('0.1') });
+    let flightKey = await config.flightSuretyApp.getFlightKey.call(airline, flight, departure);
+    solvency = await config.flightSuretyApp.getAirlineSolvency.call(airline);
+    assert.equal(solvency.exposure, ether('5'), "Exposure should be the highest payout of the insurance");
+    assert.equal(solvency.available, ether('5.02'), "Funds and premiums less claims and exposure should be available");
+
+    await reachConsensus(airline, flight, departure, STATUS_CODE_ON_TIME);
+    reason = null;
+    try {
+      await config.flightSuretyApp.claim(flightKey, { from: passenger });
+    } catch (e) {
+      reason = e.reason;
+    }
+    assert.equal(reason, "Nothing to claim for this flight", "Flight on time should not pay out");
+    await config.flightSuretyApp.settleInsurances(flightKey, [passenger], { from: airline });
+    solvency = await config.flightSuretyApp.getAirlineSolvency.call(airline);
+    assert.equal(solvency.exposure, 0, "Insurance of a flight on time should expire");
+    assert.equal(solvency.claims, ether('0.48'), "Expired insurance should not be claimed");
+    await config.flightSuretyApp.clearAirlinePayout(airline, STATUS_CODE_LATE_AIRLINE, { from: airline });
+  });
+
+  it('Passengers can list their policies with the flight, premium and what was credited', async () => {
+    let passenger = accounts[8];
+    let airline = accounts[3];
+    let ether = (value) => Web3.utils.toWei(value, 'ether');
+    let { policies, flights } = await config.flightSuretyApp.getPolicies.call(passenger);
+    assert.deepEqual(flights.map(flight => flight.flight), ["ND0003", "ND0004"], "Policies should be listed in the order they were bought");
+    assert.deepEqual(flights.map(flight => flight.airline), [airline, airline], "Policies should come with the airline");
+    assert.deepEqual(policies.map(policy => policy.premium), [ether('0.4'), ether('0.1')], "Policies should keep the premium");
+    assert.deepEqual(policies.map(policy => policy.credited), [ether('0.48'), '0'], "Policies should keep what was credited");
+    assert.deepEqual(flights.map(flight => Number(flight.statusCode)), [STATUS_CODE_LATE_WEATHER, STATUS_CODE_ON_TIME], "Policies should come with the flight status");
+    assert.equal(policies.every(policy => Number(policy.purchasedAt) > 0 && Number(policy.resolvedAt) >= Number(policy.purchasedAt)), true, "Settled policies should be resolved after purchase");
+    assert.equal((await config.flightSuretyApp.getPolicies.call(accounts[9])).policies.length, 0, "Passengers without insurance should have no policies");
+  });
+
+  // The tests from here on move the chain's clock, so they run last
+  it('Flights are scheduled, insurance sales close at departure and the status can be requested after it', async () => {
+    let flight = "ND0002";
+    let passenger = accounts[8];
+    let airline = accounts[2];
+    let now = Number((await web3.eth.getBlock('latest')).timestamp);
+    let today = now + 3600;
+    let tomorrow = today + 24 * 3600;
+
+    let reason = null;
+    try {
+      await config.flightSuretyApp.registerFlight(flight, now - 60, { from: airline });
+    } catch (e) {
+      reason = e.reason;
+    }
+    assert.equal(reason, "Departure has to be in the future", "Departed flights should not be registered");
+
+    await config.flightSuretyApp.registerFlight(flight, today, { from: airline });
+    await config.flightSuretyApp.registerFlight(flight, tomorrow, { from: airline });
+    let todayKey = await config.flightSuretyApp.getFlightKey.call(airline, flight, today);
+    let tomorrowKey = await config.flightSuretyApp.getFlightKey.call(airline, flight, tomorrow);
+    assert.notEqual(todayKey, tomorrowKey, "The same flight on another day should be another flight");
+    let keys = await config.flightSuretyApp.getFlights.call();
+    assert.deepEqual(keys.slice(-2), [todayKey, tomorrowKey], "Registered flights should be listed");
+    let scheduled = await config.flightSuretyApp.getFlight.call(tomorrowKey);
+    assert.equal(scheduled.flight, flight, "Flight number should be stored");
+    assert.equal(scheduled.departure, tomorrow, "Departure should be stored");
+    assert.equal(scheduled.airline, airline, "Airline should be stored");
+
+    reason = null;
+    try {
+      await config.flightSuretyApp.fetchFlightStatus(airline, flight, today);
+    } catch (e) {
+      reason = e.reason;
+    }
+    assert.equal(reason, "Flight has not departed yet", "Status should not be requested before departure");
+    await config.flightSuretyApp.buy(airline, flight, today, { from: passenger, value: Web3.utils.toWei('0.5', 'ether') });
+
+    await increaseTime(3600);
+
+    reason = null;
+    try {
+      await config.flightSuretyApp.buy(airline, flight, today, { from: passenger, value: Web3.utils.toWei('0.5', 'ether') });
+    } catch (e) {
+      reason = e.reason;
+    }
+    assert.equal(reason, "Insurance sales are closed for this flight", "Insurance should not be sold after departure");
+    await config.flightSuretyApp.buy(airline, flight, tomorrow, { from: passenger, value: Web3.utils.toWei('0.5', 'ether') });
+
+    let request = await config.flightSuretyApp.fetchFlightStatus(airline, flight, today);
+    assert.equal(request.logs[0].event, "OracleRequest", "Status should be requested after departure");
+    assert.equal(request.logs[0].args.timestamp, today, "Request should be made for the scheduled departure");
+  });
+
+  it('Airlines register a schedule in batches, flights already registered or departed are skipped', async () => {
+    let airline = accounts[2];
+    let now = Number((await web3.eth.getBlock('latest')).timestamp);
+    let schedule = [["ND0100", now + 3600], ["ND0101", now + 7200], ["ND0102", now - 60], ["ND0100", now + 3600]];
+    await config.flightSuretyApp.registerFlight("ND0101", now + 7200, { from: airline });
+
+    let names = schedule.map(([flight]) => flight);
+    let departures = schedule.map(([, departure]) => departure);
+    assert.include(await reasonOf(config.flightSuretyApp.registerFlights(names, departures.slice(1), { from: airline })), "Every flight needs a departure", "Every flight should come with its departure");
+    assert.include(await reasonOf(config.flightSuretyApp.registerFlights(names, departures, { from: accounts[8] })), "Caller is not an Airline", "Only airlines should register flights");
+
+    let registered = await config.flightSuretyApp.registerFlights.call(names, departures, { from: airline });
+    assert.equal(Number(registered), 1, "Only the new future flight should be registered, once");
+    await config.flightSuretyApp.registerFlights(names, departures, { from: airline });
+    assert.equal(await config.flightSuretyApp.isFlightRegistered.call(airline, "ND0100", now + 3600), true, "New flight should be registered");
+    assert.equal(await config.flightSuretyApp.isFlightRegistered.call(airline, "ND0102", now - 60), false, "Departed flight should be skipped");
+    let events = await config.flightSuretyData.getPastEvents('FlightRegistered', { fromBlock: 'latest' });
+    assert.deepEqual(events.map(event => event.returnValues.flight), ["ND0100"], "Skipped flights should not be recorded");
+  });
+
+  it('Flight status can only be set by the oracle consensus', async () => {
+    let flight = "ND0006";
+    let airline = accounts[2];
+    let now = Number((await web3.eth.getBlock('latest')).timestamp);
+    await config.flightSuretyApp.registerFlight(flight, now + 60, { from: airline });
+    let flightKey = await config.flightSuretyApp.getFlightKey.call(airline, flight, now + 60);
+
+    assert.equal(config.flightSuretyApp.processFlightStatus, undefined, "Processing the status should not be part of the ABI");
+    let data = web3.eth.abi.encodeFunctionCall({
+      name: 'processFlightStatus',
+      type: 'function',
+      inputs: [{ type: 'address', name: 'airline' }, { type: 'string', name: 'flight' }, { type: 'uint256', name: 'timestamp' }, { type: 'uint8', name: 'statusCode' }]
+    }, [airline, flight, now + 60, STATUS_CODE_LATE_AIRLINE]);
+    let rejected = false;
+    try {
+      await web3.eth.sendTransaction({ from: accounts[6], to: config.flightSuretyApp.address, data: data, gas: 500000 });
+    } catch (e) {
+      rejected = true;
+    }
+    assert.equal(rejected, true, "Calling processFlightStatus from outside should be rejected");
+    assert.equal(Number((await config.flightSuretyApp.getFlight.call(flightKey)).statusCode), STATUS_CODE_UNKNOWN, "Flight status should stay unknown without consensus");
+  });
+
+  it('Oracle requests close on the first consensus and expire after the request timeout', async () => {
+    let flight = "ND0005";
+    let airline = accounts[2];
+    let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+    let oracles = accounts.slice(1, 10);
+    for (let oracle of oracles) {
+      await config.flightSuretyApp.registerOracle({ from: oracle, value: fee });
+    }
+    let indexes = await Promise.all(oracles.map(oracle => config.flightSuretyApp.getMyIndexes.call({ from: oracle })));
+    await config.flightSuretyApp.setRequestTimeout(5);
+    assert.equal(await config.flightSuretyApp.getRequestTimeout.call(), 5, "Request timeout should be configurable");
+
+    let now = Number((await web3.eth.getBlock('latest')).timestamp);
+    await config.flightSuretyApp.registerFlight(flight, now + 60, { from: airline });
+    await increaseTime(60);
+
+    let stale = await requestStatus(airline, flight, now + 60, oracles, indexes, 1);
+    assert.equal(await reasonOf(config.flightSuretyApp.expireRequest(stale.index, airline, flight, now + 60)), "Oracle request has not expired yet", "Request should stay open until the timeout");
+    await mineBlocks(5);
+    let late = await config.flightSuretyApp.submitOracleResponse(stale.index, airline, flight, now + 60, STATUS_CODE_ON_TIME, { from: stale.invited[0] });
+    assert.deepEqual(late.logs.map(log => log.event), ["OracleRequestExpired"], "Late response should expire the request instead of voting");
+    assert.equal((await config.flightSuretyApp.getRequest.call(stale.index, airline, flight, now + 60)).isOpen, false, "Expired request should be closed");
+
+    let current = await requestStatus(airline, flight, now + 60, oracles, indexes, 3);
+    let results = [];
+    for (let oracle of current.invited.slice(0, 3)) {
+      results.push(await config.flightSuretyApp.submitOracleResponse(current.index, airline, flight, now + 60, STATUS_CODE_ON_TIME, { from: oracle }));
+    }
+    assert.deepEqual(results[2].logs.map(log => log.event), ["OracleReport", "OracleRequestClosed", "FlightStatusInfo"], "Consensus should close the request");
+    assert.equal(await reasonOf(config.flightSuretyApp.submitOracleResponse(current.index, airline, flight, now + 60, STATUS_CODE_ON_TIME, { from: current.invited[0] })), "Flight or timestamp do not match oracle request", "Responses after the consensus should be rejected");
+    assert.equal(await reasonOf(config.flightSuretyApp.fetchFlightStatus(airline, flight, now + 60)), "Flight status is already known", "Known flight status should not be requested again");
+  });
+
+  it('A request still open can only be made again once it timed out', async () => {
+    let flight = "ND0007";
+    let airline = accounts[2];
+    let timeout = await config.flightSuretyApp.getRequestTimeout.call();
+    let now = Number((await web3.eth.getBlock('latest')).timestamp);
+    await config.flightSuretyApp.registerFlight(flight, now + 60, { from: airline });
+    await increaseTime(60);
+    await config.flightSuretyApp.setRequestTimeout(30);
+
+    // There are ten indexes, an open one comes up again at the latest with the eleventh request
+    let opened = new Map();
+    let reason = null;
+    for (let attempt = 0; attempt <= 10 && !reason; attempt++) {
+      try {
+        let receipt = await config.flightSuretyApp.fetchFlightStatus(airline, flight, now + 60);
+        let index = Number(receipt.logs[0].args.index);
+        opened.set(index, (await config.flightSuretyApp.getRequest.call(index, airline, flight, now + 60)).expiresAt.toString());
+      } catch (e) {
+        reason = e.reason;
+      }
+    }
+    assert.equal(reason, "Oracle request is still open", "An open request should not be made again");
+    for (let [index, expiresAt] of opened) {
+      let request = await config.flightSuretyApp.getRequest.call(index, airline, flight, now + 60);
+      assert.equal(request.isOpen, true, "Open requests should stay open");
+      assert.equal(request.expiresAt.toString(), expiresAt, "Open requests should keep their timeout");
+    }
+
+    await mineBlocks(30);
+    let again = null;
+    for (let attempt = 0; attempt < 100 && again === null; attempt++) {
+      await mineBlocks(1);
+      let index = null;
+      try {
+        let receipt = await config.flightSuretyApp.fetchFlightStatus(airline, flight, now + 60);
+        index = Number(receipt.logs[0].args.index);
+      } catch (e) {
+        // An index first requested in this loop is open again
+        assert.equal(e.reason, "Oracle request is still open", "Only open requests should be refused");
+      }
+      if (opened.has(index)) again = index;
+    }
+    assert.notEqual(again, null, "A timed out request should be made again");
+    let request = await config.flightSuretyApp.getRequest.call(again, airline, flight, now + 60);
+    assert.isAbove(Number(request.expiresAt), Number(opened.get(again)), "A request made again should get a new timeout");
+    await config.flightSuretyApp.setRequestTimeout(timeout);
+  });
+
+  it('Every consensus closes its request and rates the oracles, only the first known status settles the flight', async () => {
+    let flight = "ND0008";
+    let airline = accounts[2];
+    let app = config.flightSuretyApp.contract.methods;
+    let timeout = await config.flightSuretyApp.getRequestTimeout.call();
+    let now = Number((await web3.eth.getBlock('latest')).timestamp);
+    await config.flightSuretyApp.registerFlight(flight, now + 60, { from: airline });
+    let flightKey = await config.flightSuretyApp.getFlightKey.call(airline, flight, now + 60);
+    await increaseTime(60);
+    await config.flightSuretyApp.setRequestTimeout(100);
+
+    // Three requests of the flight open at the same time, each under another index
+    let { signers, addresses, indexes } = await getConsensusOracles();
+    let requests = [];
+    while (requests.length < 3) {
+      requests.push(await requestStatus(airline, flight, now + 60, addresses, indexes, 3));
+    }
+    let vote = async ({ index, invited }, statusCode) => {
+      let receipt;
+      for (let oracle of invited.slice(0, 3)) {
+        receipt = await sendAs(signers[addresses.indexOf(oracle)], app.submitOracleResponse(index, airline, flight, now + 60, statusCode));
+      }
+      let range = { fromBlock: receipt.blockNumber, toBlock: receipt.blockNumber };
+      let closed = await config.flightSuretyApp.getPastEvents('OracleRequestClosed', range);
+      let settled = await config.flightSuretyApp.getPastEvents('FlightStatusInfo', range);
+      return { closed: closed.length, settled: settled.length };
+    };
+    let agreed = async ({ invited }) => Promise.all(invited.slice(0, 3).map(async (oracle) => Number((await config.flightSuretyApp.getOracle.call(oracle)).oracle.agreed)));
+    let statusOf = async () => Number((await config.flightSuretyApp.getFlight.call(flightKey)).statusCode);
+
+    let [unknown, late, onTime] = requests;
+    let before = await agreed(unknown);
+    assert.deepEqual(await vote(unknown, STATUS_CODE_UNKNOWN), { closed: 1, settled: 0 }, "A consensus on an unknown status should close the request without settling the flight");
+    assert.deepEqual(await agreed(unknown), before.map(count => count + 1), "Oracles should be rated on an unknown status");
+    assert.equal(await statusOf(), STATUS_CODE_UNKNOWN, "Flight status should stay unknown");
+
+    assert.deepEqual(await vote(late, STATUS_CODE_LATE_AIRLINE), { closed: 1, settled: 1 }, "The first consensus on a known status should settle the flight");
+    assert.equal(await statusOf(), STATUS_CODE_LATE_AIRLINE, "Flight status should be set by the consensus");
+
+    before = await agreed(onTime);
+    assert.deepEqual(await vote(onTime, STATUS_CODE_ON_TIME), { closed: 1, settled: 0 }, "A later consensus should close its request without settling the flight again");
+    assert.deepEqual(await agreed(onTime), before.map(count => count + 1), "Oracles should be rated on a flight already settled");
+    assert.equal((await config.flightSuretyApp.getRequest.call(onTime.index, airline, flight, now + 60)).isOpen, false, "Request should be closed");
+    assert.equal(await statusOf(), STATUS_CODE_LATE_AIRLINE, "Flight status should not change");
+    await config.flightSuretyApp.setRequestTimeout(timeout);
+  });
+
+  it('Consensus costs the same gas however many passengers insured the flight, payouts are claimed', async () => {
+    let airline = accounts[2];
+    let oracles = accounts.slice(1, 10);
+    let indexes = await Promise.all(oracles.map(oracle => config.flightSuretyApp.getMyIndexes.call({ from: oracle })));
+    let premium = Web3.utils.toWei('0.01', 'ether');
+    let now = Number((await web3.eth.getBlock('latest')).timestamp);
+    let flights = [{ flight: "ND0100", insurees: 1 }, { flight: "ND0101", insurees: 200 }];
+
+    for (let scheduled of flights) {
+      await config.flightSuretyApp.registerFlight(scheduled.flight, now + 3600, { from: airline });
+      scheduled.key = await config.flightSuretyApp.getFlightKey.call(airline, scheduled.flight, now + 3600);
+      // Passengers of their own, every account insures a flight once
+      scheduled.passengers = [];
+      for (let i = 0; i < scheduled.insurees; i++) {
+        let passenger = await createAccount('0.05');
+        await sendAs(passenger, config.flightSuretyApp.contract.methods.buy(airline, scheduled.flight, now + 3600), premium);
+        scheduled.passengers.push(passenger);
+      }
+    }
+    await increaseTime(3600);
+
+    for (let scheduled of flights) {
+      let current = await requestStatus(airline, scheduled.flight, now + 3600, oracles, indexes, 3);
+      for (let oracle of current.invited.slice(0, 3)) {
+        let receipt = await config.flightSuretyApp.submitOracleResponse(current.index, airline, scheduled.flight, now + 3600, STATUS_CODE_LATE_AIRLINE, { from: oracle });
+        scheduled.gasUsed = receipt.receipt.gasUsed;
+      }
+    }
+    let [few, many] = flights;
+    // Consensus also rates the voting oracles, their first rating costs up to ~70k gas more.
+    // Crediting 200 insurances in the same transaction would cost millions
+    assert.isBelow(Math.abs(many.gasUsed - few.gasUsed), 100000, `Consensus took ${few.gasUsed} gas with 1 insuree and ${many.gasUsed} with 200`);
+
+    let passenger = many.passengers[many.insurees - 1];
+    let payout = Web3.utils.toWei('0.015', 'ether');
+    assert.equal(await config.flightSuretyApp.getClaimable.call(passenger.address, many.key), payout, "Payout should be computed when asked for");
+    await sendAs(passenger, config.flightSuretyApp.contract.methods.claim(many.key));
+    assert.equal(await config.flightSuretyApp.getPassengerCredit.call(passenger.address), payout, "Claimed payout should be credited");
+    assert.equal(await config.flightSuretyApp.getClaimable.call(passenger.address, many.key), 0, "Payout should be claimed once");
+  });
+
+  it('Oracles stake, are rated against the consensus and get slashed for disagreeing repeatedly', async () => {
+    let airline = accounts[2];
+    let app = config.flightSuretyApp.contract.methods;
+    let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+    // Oracles of their own, enough of them for indexes with a dissenter and three honest ones
+    let signers = [];
+    for (let i = 0; i < 20; i++) {
+      let signer = await createAccount('1.5');
+      await sendAs(signer, app.registerOracle(), fee);
+      signers.push(signer);
+    }
+    let oracles = signers.map(signer => signer.address);
+    let indexes = await Promise.all(oracles.map(async (oracle) => (await config.flightSuretyApp.getOracle.call(oracle)).oracle.indexes));
+    let signerOf = (oracle) => signers[oracles.indexOf(oracle)];
+    let dissenter = oracles[0];
+
+    let now = Number((await web3.eth.getBlock('latest')).timestamp);
+    let flights = ["ND0200", "ND0201", "ND0202"];
+    for (let flight of flights) {
+      await config.flightSuretyApp.registerFlight(flight, now + 60, { from: airline });
+    }
+    await increaseTime(60);
+
+    let voted = new Set();
+    for (let flight of flights) {
+      let current = await requestStatus(airline, flight, now + 60, oracles, indexes, 4, dissenter);
+      let vote = (statusCode) => app.submitOracleResponse(current.index, airline, flight, now + 60, statusCode);
+      await sendAs(signerOf(dissenter), vote(STATUS_CODE_LATE_AIRLINE));
+      assert.include(await reasonOf(vote(STATUS_CODE_ON_TIME).call({ from: dissenter })), "Oracle has already responded", "Oracles should respond once per request");
+      for (let oracle of current.invited.filter(oracle => oracle !== dissenter).slice(0, 3)) {
+        await sendAs(signerOf(oracle), vote(STATUS_CODE_ON_TIME));
+        voted.add(oracle);
+      }
+    }
+
+    let { oracle, invited } = await config.flightSuretyApp.getOracle.call(dissenter);
+    assert.equal(oracle.disagreed, 3, "Every disagreement with the consensus should be counted");
+    assert.equal(oracle.answered, 3, "Every response should be counted");
+    assert.isAtLeast(Number(invited), 3, "Requests for the oracle's indexes should count as invitations");
+    assert.equal(oracle.stake, Web3.utils.toWei('0.5', 'ether'), "Three disagreements in a row should cost half the stake");
+    assert.equal(oracle.strikes, 0, "Strikes should start over after a slash");
+    assert.isAbove(Number(oracle.suspendedUntil), await web3.eth.getBlockNumber(), "Slashed oracle should be suspended");
+    let slashed = await config.flightSuretyApp.getPastEvents('OracleSlashed', { fromBlock: 0 });
+    assert.deepEqual(slashed.map(e => e.returnValues.oracle), [dissenter], "Only the dissenter should be slashed");
+    assert.include(await reasonOf(app.submitOracleResponse(indexes[0][0], airline, flights[0], now + 60, STATUS_CODE_ON_TIME).call({ from: dissenter })), "Oracle is suspended", "Suspended oracle should not respond");
+
+    let honest = [...voted][0];
+    let rating = (await config.flightSuretyApp.getOracle.call(honest)).oracle;
+    assert.equal(rating.disagreed, 0, "Honest oracle should not disagree");
+    assert.equal(rating.agreed, rating.answered, "Honest oracle should agree with every consensus it voted in");
+
+    // Stake can be topped up, and withdrawn after the cooldown
+    await sendAs(signerOf(honest), app.topUpStake(), Web3.utils.toWei('0.2', 'ether'));
+    assert.equal((await config.flightSuretyApp.getOracle.call(honest)).oracle.stake, Web3.utils.toWei('1.2', 'ether'), "Top up should add to the stake");
+    await sendAs(signerOf(honest), app.requestStakeWithdrawal(Web3.utils.toWei('0.5', 'ether')));
+    assert.include(await reasonOf(app.withdrawStake().call({ from: honest })), "Stake is still cooling down", "Stake should not be withdrawn before the cooldown");
+    await mineBlocks(Number(await config.flightSuretyApp.STAKE_COOLDOWN.call()));
+    await sendAs(signerOf(honest), app.withdrawStake());
+    assert.equal((await config.flightSuretyApp.getOracle.call(honest)).oracle.stake, Web3.utils.toWei('0.7', 'ether'), "Withdrawn stake should be taken off");
+    let honestIndex = indexes[oracles.indexOf(honest)][0];
+    assert.include(await reasonOf(app.submitOracleResponse(honestIndex, airline, flights[0], now + 60, STATUS_CODE_ON_TIME).call({ from: honest })), "Oracle stake is too low", "Oracles below the minimum stake should not respond");
+  });
+
+  it('App contract can be replaced, the new one takes over the votes, payout terms and oracles', async () => {
+    let previous = config.flightSuretyApp;
+    let data = config.flightSuretyData;
+    // A vote still open has to carry over
+    let candidate = accounts[12];
+    await previous.registerAirline(candidate, "AIR8", { from: config.firstAirline });
+
+    let oracles = [...new Set((await previous.getPastEvents('OracleRegistered', { fromBlock: 0 })).map(e => e.returnValues.oracle))];
+    let airlines = (await data.getPastEvents('AirlineRegistered', { fromBlock: 0 })).map(e => e.returnValues.airline);
+    let rating = ({ oracle, invited }) => [oracle.stake, oracle.answered, oracle.agreed, oracle.disagreed, oracle.strikes, oracle.suspendedUntil, oracle.withdrawal, String(invited), ...oracle.indexes];
+    let ratings = await Promise.all(oracles.map(async oracle => rating(await previous.getOracle.call(oracle))));
+    let stakes = await web3.eth.getBalance(previous.address);
+
+    let next = await FlightSuretyApp.new(data.address);
+    assert.include(await reasonOf(previous.retire(next.address)), "Successor has not taken over the state", "App should only retire to an app holding its state");
+    assert.include(await reasonOf(next.migrateFrom(previous.address, airlines, oracles, { from: accounts[2] })), "Caller is not contract owner", "Only the owner should migrate the state");
+
+    // Oracles are taken over in batches, the rest of the state with the first one
+    await data.authorizeCaller(next.address);
+    await next.migrateFrom(previous.address, airlines, oracles.slice(0, 5));
+    await next.migrateFrom(previous.address, airlines, oracles.slice(3));
+    assert.equal(await previous.isOperational.call(), true, "Old app should keep running until it retires");
+
+    assert.include(await reasonOf(previous.retire(next.address, { from: accounts[2] })), "Caller is not contract owner", "Only the owner should retire the app");
+    await previous.retire(next.address);
+    assert.equal(await previous.isOperational.call(), false, "Retired app should stop");
+    assert.include(await reasonOf(previous.registerAirline(candidate, "AIR8", { from: accounts[2] })), "Contract is currently not operational", "Retired app should not take votes");
+    assert.equal(await web3.eth.getBalance(next.address), stakes, "Oracle stakes should move to the new app");
+    assert.equal(await web3.eth.getBalance(previous.address), 0, "Retired app should keep no stakes");
+    await data.deauthorizeCaller(previous.address);
+
+    assert.equal(await next.predecessor.call(), previous.address, "New app should know where its state came from");
+    assert.deepEqual(await next.getCandidates.call(), [candidate], "Candidates should carry over once");
+    assert.deepEqual((await next.getCandidate.call(candidate)).voters, [config.firstAirline], "Votes should carry over");
+    assert.equal(Number(await next.getRequestTimeout.call()), Number(await previous.getRequestTimeout.call()), "Request timeout should carry over");
+    for (let airline of [...airlines, '0x0000000000000000000000000000000000000000']) {
+      assert.deepEqual((await next.getPayoutTerms.call(airline)).map(Number), (await previous.getPayoutTerms.call(airline)).map(Number), "Payout terms should carry over");
+    }
+    for (let [i, oracle] of oracles.entries()) {
+      assert.deepEqual(rating(await next.getOracle.call(oracle)), ratings[i], "Oracle stake and reputation should carry over");
+    }
+    let registered = await next.getPastEvents('OracleRegistered', { fromBlock: 0 });
+    assert.equal(registered.length, oracles.length, "Every oracle should be registered with the new app once");
+
+    // Voting goes on with the new app
+    let vote = (await next.registerAirline(candidate, "AIR8", { from: accounts[2] })).logs.find(log => log.event == 'AirlineVoted');
+    assert.equal(Number(vote.args.votes), 2, "Vote made before the upgrade should count");
+    assert.include(await reasonOf(previous.retire(next.address)), "App contract is already retired", "App should only be retired once");
+  });
+
+  function increaseTime(seconds) {
+    return send('evm_increaseTime', [seconds]).then(() => send('evm_mine', []));
+  }
+
+  async function mineBlocks(count) {
+    for (let i = 0; i < count; i++) {
+      await send('evm_mine', []);
+    }
+  }
+
+  // Requests the status until the index is one at least `count` oracles have, `required` among
+  // them when given. The index comes from the hash of an earlier block, an extra block in
+  // between makes it another one. An index still open from an earlier attempt can't be requested
+  async function requestStatus(airline, flight, timestamp, oracles, indexes, count, required) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      let receipt;
+      try {
+        receipt = await config.flightSuretyApp.fetchFlightStatus(airline, flight, timestamp);
+      } catch (e) {
+        if (e.reason !== "Oracle request is still open") throw e;
+        await mineBlocks(1);
+        continue;
+      }
+      let index = Number(receipt.logs[0].args.index);
+      let invited = oracles.filter((oracle, i) => indexes[i].map(Number).includes(index));
+      if (invited.length >= count && (!required || invited.includes(required))) {
+        return { index, invited };
+      }
+      await mineBlocks(1);
+    }
+    throw new Error(`No index with ${count} oracles`);
+  }
+
+  // Sets the status of a flight the way the contract allows it: once the flight departed,
+  // by three matching votes of oracles of their own, registered on first use
+  var consensusOracles = null;
+  async function reachConsensus(airline, flight, timestamp, statusCode) {
+    let latest = Number((await web3.eth.getBlock('latest')).timestamp);
+    if (latest <= timestamp) {
+      await increaseTime(timestamp - latest + 1);
+    }
+    let app = config.flightSuretyApp.contract.methods;
+    let { signers, addresses, indexes } = await getConsensusOracles();
+    let current = await requestStatus(airline, flight, timestamp, addresses, indexes, 3);
+    for (let oracle of current.invited.slice(0, 3)) {
+      await sendAs(signers[addresses.indexOf(oracle)], app.submitOracleResponse(current.index, airline, flight, timestamp, statusCode));
+    }
+  }
+
+  async function getConsensusOracles() {
+    if (!consensusOracles) {
+      let app = config.flightSuretyApp.contract.methods;
+      let fee = await config.flightSuretyApp.REGISTRATION_FEE.call();
+      let signers = [];
+      for (let i = 0; i < 12; i++) {
+        let signer = await createAccount('1.5');
+        await sendAs(signer, app.registerOracle(), fee);
+        signers.push(signer);
+      }
+      let addresses = signers.map(signer => signer.address);
+      let indexes = await Promise.all(addresses.map(async (oracle) => (await config.flightSuretyApp.getOracle.call(oracle)).oracle.indexes));
+      consensusOracles = { signers, addresses, indexes };
+    }
+    return consensusOracles;
+  }
+
+  // Funded account outside the node's, for tests that need more accounts than it has
+  async function createAccount(ether) {
+    let account = web3.eth.accounts.create();
+    await web3.eth.sendTransaction({ from: accounts[0], to: account.address, value: Web3.utils.toWei(ether, 'ether') });
+    return account;
+  }
+
+  // Sends a contract call signed by an account of createAccount
+  async function sendAs(account, method, value = 0) {
+    let signed = await account.signTransaction({ to: config.flightSuretyApp.address, data: method.encodeABI(), value: value, gas: 1000000 });
+    return web3.eth.sendSignedTransaction(signed.rawTransaction);
+  }
+
+  // Revert reason of a transaction, or the error message of a call
+  async function reasonOf(promise) {
+    try {
+      await promise;
+    } catch (e) {
+      return e.reason || e.message;
+    }
+    return null;
+  }
+
+  function send(method, params) {
+    return new Promise((resolve, reject) => {
+      web3.currentProvider.send({ jsonrpc: '2.0', method: method, params: params, id: Date.now() }, (error, result) => error ? reject(error) : resolve(result));
+    });
+  }
+
 });
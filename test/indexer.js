@@ -0,0 +1,112 @@
+// The server modules are ES modules, compile them on the fly
+require('@babel/register')({ presets: ['@babel/preset-env'], only: [/src\/server/] });
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Test = require('../config/testConfig.js');
+var EventIndexer = require('../src/server/indexer.js').default;
+
+contract('Event indexer', async (accounts) => {
+
+  var config;
+  var airline;
+  var contracts;
+  var departure;
+  var dir;
+  var file;
+  var log;
+  before('setup contract', async () => {
+    config = await Test.Config(accounts);
+    airline = config.firstAirline;
+    await config.flightSuretyData.authorizeCaller(config.flightSuretyApp.address);
+    await config.flightSuretyApp.registerAirline(airline, "AIR1");
+    await config.flightSuretyApp.fund({ from: airline, value: web3.utils.toWei('10', 'ether') });
+    // The indexer works with web3 contracts, like the rest of the server
+    contracts = {
+      FlightSuretyApp: new web3.eth.Contract(config.flightSuretyApp.abi, config.flightSuretyApp.address),
+      FlightSuretyData: new web3.eth.Contract(config.flightSuretyData.abi, config.flightSuretyData.address)
+    };
+    departure = Number((await web3.eth.getBlock('latest')).timestamp) + 24 * 3600;
+  });
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'indexer-'));
+    file = path.join(dir, 'events.json');
+    // The indexer tells about every reorg, only the test results are of interest here
+    log = console.log;
+    console.log = () => {};
+  });
+  afterEach(() => {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function send(method, params = []) {
+    return new Promise((resolve, reject) => {
+      web3.currentProvider.send({ jsonrpc: '2.0', method: method, params: params, id: Date.now() }, (error, result) => error ? reject(error) : resolve(result.result));
+    });
+  }
+
+  function createIndexer(startBlock) {
+    return new EventIndexer({ web3, contracts, file, startBlock });
+  }
+
+  let flights = (indexer) => indexer.query({ event: 'FlightRegistered' }).map(event => event.returnValues.flight);
+
+  // Every checkpoint has to be a block of the current chain
+  async function assertCheckpoints(indexer) {
+    for (let { number, hash } of indexer.store.data.checkpoints) {
+      assert.equal((await web3.eth.getBlock(number)).hash, hash, `Checkpoint of block ${number} should be on the chain`);
+    }
+  }
+
+  it('drops the events of blocks a reorg replaced and indexes the new branch', async () => {
+    let indexer = createIndexer(await web3.eth.getBlockNumber());
+    await config.flightSuretyApp.registerFlight("ND1000", departure, { from: airline });
+    await indexer.sync();
+
+    let snapshot = await send('evm_snapshot');
+    await config.flightSuretyApp.registerFlight("ND1001", departure, { from: airline });
+    await send('evm_mine');
+    await indexer.sync();
+    assert.deepEqual(flights(indexer), ["ND1000", "ND1001"], "Flights of both blocks should be indexed");
+    let replaced = indexer.lastBlock;
+
+    // Another branch from the fork block on, longer than the one it replaces
+    await send('evm_revert', [snapshot]);
+    await config.flightSuretyApp.registerFlight("ND1002", departure, { from: airline });
+    for (let i = 0; i < 3; i++) {
+      await send('evm_mine');
+    }
+    assert.isAbove(await web3.eth.getBlockNumber(), replaced, "New branch should be longer");
+    await indexer.sync();
+
+    assert.deepEqual(flights(indexer), ["ND1000", "ND1002"], "Events of the replaced blocks should be dropped");
+    let blocks = await Promise.all(indexer.query().map(event => web3.eth.getBlock(event.blockNumber)));
+    assert.isTrue(indexer.query().every((event, i) => event.blockHash === blocks[i].hash), "Every event should come from a block of the new branch");
+    assert.equal(indexer.lastBlock, await web3.eth.getBlockNumber(), "New branch should be indexed up to its head");
+    await assertCheckpoints(indexer);
+    let stored = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    assert.deepEqual(stored.events.filter(event => event.event === 'FlightRegistered').map(event => event.returnValues.flight), ["ND1000", "ND1002"], "Store should hold the new branch");
+  });
+
+  it('starts over when the chain was replaced', async () => {
+    let startBlock = await web3.eth.getBlockNumber();
+    await config.flightSuretyApp.registerFlight("ND1003", departure, { from: airline });
+    let indexer = createIndexer(startBlock);
+    // History of another chain, e.g. before Ganache was restarted
+    indexer.store.data.genesisHash = web3.utils.sha3('another chain');
+    indexer.store.data.lastBlock = startBlock + 50;
+    indexer.store.data.checkpoints = [{ number: startBlock + 50, hash: web3.utils.sha3('another block') }];
+    indexer.store.data.events = [{ contract: 'FlightSuretyData', event: 'FlightRegistered', blockNumber: startBlock + 10, returnValues: { flight: "ND9999" } }];
+    indexer.store.save();
+
+    let restarted = createIndexer(startBlock);
+    await restarted.sync();
+    assert.equal(restarted.store.data.genesisHash, (await web3.eth.getBlock(0)).hash, "Store should belong to the current chain");
+    assert.deepEqual(flights(restarted), ["ND1003"], "Events of the other chain should be dropped");
+    assert.equal(restarted.lastBlock, await web3.eth.getBlockNumber(), "Current chain should be indexed from the start block");
+    await assertCheckpoints(restarted);
+  });
+});
@@ -9,6 +9,8 @@ contract('Oracles', async (accounts) => {
   before('setup contract', async () => {
     config = await Test.Config(accounts);
     await config.flightSuretyData.authorizeCaller(config.flightSuretyApp.address);
+    await config.flightSuretyApp.registerAirline(config.firstAirline, "AIR1");
+    await config.flightSuretyApp.fund({ from: config.firstAirline, value: web3.utils.toWei('10', 'ether') });
   });
 
   // Watch contract events
@@ -37,7 +39,10 @@ contract('Oracles', async (accounts) => {
     
     // ARRANGE
     let flight = 'ND1309'; // Course number
-    let timestamp = Math.floor(Date.now() / 1000);
+    // Flight status can only be requested once the flight has departed
+    let timestamp = Number((await web3.eth.getBlock('latest')).timestamp) + 60;
+    await config.flightSuretyApp.registerFlight(flight, timestamp, { from: config.firstAirline });
+    await increaseTime(60);
 
     // Submit a request for oracles to get status information for a flight
     await config.flightSuretyApp.fetchFlightStatus(config.firstAirline, flight, timestamp);
@@ -67,4 +72,11 @@ contract('Oracles', async (accounts) => {
     }
   });
 
+  function increaseTime(seconds) {
+    let send = (method, params) => new Promise((resolve, reject) => {
+      web3.currentProvider.send({ jsonrpc: '2.0', method: method, params: params, id: Date.now() }, (error, result) => error ? reject(error) : resolve(result));
+    });
+    return send('evm_increaseTime', [seconds]).then(() => send('evm_mine', []));
+  }
+
 });
@@ -0,0 +1,63 @@
+// The server modules are ES modules, compile them on the fly
+require('@babel/register')({ presets: ['@babel/preset-env'], only: [/src\/server/] });
+
+var Profiles = require('../src/server/profiles.js');
+var ProfileSimulator = Profiles.ProfileSimulator;
+
+const ON_TIME = 10;
+const LATE_AIRLINE = 20;
+const STATUS_CODES = [0, 10, 20, 30, 40, 50];
+
+// Oracles at account positions 1 to `count`
+function oracles(count) {
+  return Array.from({ length: count }, (_, i) => ({ account: `0x${String(i + 1).padStart(40, '0')}`, position: i + 1 }));
+}
+
+describe('Oracle profiles', () => {
+
+  it('answers every request the same way with the same seed', () => {
+    let config = { seed: 42, default: { type: 'random' }, oracles: { '2': { type: 'weighted', weights: { '10': 1, '20': 3 } } } };
+    let requests = Array.from({ length: 20 }, (_, i) => `3:ND${1000 + i}`);
+    let answers = (simulator) => requests.map((key) => simulator.respond(key, oracles(4)));
+
+    let first = answers(new ProfileSimulator(config));
+    assert.deepEqual(answers(new ProfileSimulator(config)), first, "Same seed should give the same answers");
+    // Requests in another order still get the same answers
+    let reversed = new ProfileSimulator(config);
+    assert.deepEqual(requests.slice().reverse().map((key) => reversed.respond(key, oracles(4))).reverse(), first, "Answers should not depend on the order of the requests");
+    assert.notDeepEqual(answers(new ProfileSimulator({ ...config, seed: 7 })), first, "Another seed should give other answers");
+    assert.isTrue(first.every((answer) => answer.every(({ statusCode }) => STATUS_CODES.includes(statusCode))), "Answers should be status codes");
+  });
+
+  it('lets majority oracles agree with and contrarian oracles oppose the most reported status', () => {
+    let simulator = new ProfileSimulator({
+      seed: 1,
+      default: { type: 'fixed', status: LATE_AIRLINE },
+      oracles: { '1': { type: 'majority' }, '2': { type: 'contrarian', delay: 5 }, '3': { type: 'silent' } }
+    });
+
+    for (let i = 0; i < 20; i++) {
+      let answers = simulator.respond(`3:ND${i}`, oracles(5), [ON_TIME, ON_TIME, ON_TIME]);
+      let byPosition = (position) => answers.find(({ account }) => account === oracles(5)[position - 1].account);
+      assert.equal(byPosition(3), undefined, "Silent oracle should not answer");
+      assert.deepEqual(answers.slice(0, 2).map(({ statusCode }) => statusCode), [LATE_AIRLINE, LATE_AIRLINE], "Other oracles should answer before the ones that follow them");
+      // Three reports against the two answers of the fixed oracles
+      assert.equal(byPosition(1).statusCode, ON_TIME, "Majority oracle should agree with the most reported status");
+      assert.notEqual(byPosition(2).statusCode, ON_TIME, "Contrarian oracle should report anything else");
+      assert.equal(byPosition(2).delay, 5, "Delay should be kept");
+    }
+
+    // Without reports they only follow the answers planned before theirs
+    let answers = simulator.respond('3:ND100', oracles(2).concat(oracles(5).slice(3)));
+    assert.equal(answers.find(({ account }) => account === oracles(1)[0].account).statusCode, LATE_AIRLINE, "Majority oracle should follow the other oracles of the server");
+  });
+
+  it('reports what the flight data provider says, nothing when it failed', () => {
+    assert.equal(new ProfileSimulator({ seed: 1 }).profileFor(oracles(1)[0].account, 1).type, 'random', "Oracles should answer at random by default");
+
+    let simulator = new ProfileSimulator({ seed: 1, default: { type: 'provider' } });
+    assert.deepEqual(simulator.respond('3:ND1', oracles(2), [], LATE_AIRLINE).map(({ statusCode }) => statusCode), [LATE_AIRLINE, LATE_AIRLINE], "Provider oracles should report the provider status");
+    assert.deepEqual(simulator.respond('3:ND1', oracles(2), [], null), [], "Provider oracles should not answer without provider data");
+    assert.throws(() => new ProfileSimulator({ default: { type: 'fixed', status: 25 } }), /Invalid status code/, "Profiles should be validated");
+  });
+});
@@ -0,0 +1,61 @@
+// The server modules are ES modules, compile them on the fly
+require('@babel/register')({ presets: ['@babel/preset-env'], only: [/src\/server/] });
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var FixtureProvider = require('../src/server/providers/fixtureProvider.js');
+
+const AIRLINE = '0xf17f52151EbEF6C7334FAD080c5704D77216b732';
+const OTHER_AIRLINE = '0x2191eF87E392377ec08E7c08Eb105Ef5448eCED5';
+const HOUR = 3600;
+
+describe('Fixture flight data provider', () => {
+
+  var dir;
+  var now;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'fixture-'));
+    now = Date.UTC(2026, 0, 1, 8, 0, 0);
+  });
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function fixture(name, content) {
+    let file = path.join(dir, name);
+    fs.writeFileSync(file, content);
+    return file;
+  }
+
+  it('answers flights registered around the relative departure of their record', async () => {
+    let file = fixture('flights.csv', [
+      'flight,departure,status,cause,airline',
+      'ND1309,+3h,delayed,weather,',
+      'ND1309,+1d3h,on_time,,',
+      `ND1310,-30m,delayed,airline,${AIRLINE}`,
+      'ND1311,2026-01-01T12:00:00Z,on_time,,'
+    ].join('\n'));
+    let provider = new FixtureProvider.default({ file, now });
+    let seconds = now / 1000;
+
+    assert.equal(await provider.getStatus(AIRLINE, 'ND1309', seconds + 3 * HOUR + 600), 30, "Flight should get the status of its closest record");
+    assert.equal(await provider.getStatus(AIRLINE, 'ND1309', seconds + 26 * HOUR), 10, "Flight a day later should get the later record");
+    assert.equal(await provider.getStatus(AIRLINE, 'ND1310', seconds - HOUR), 20, "Past relative departures should be matched as well");
+    assert.equal(await provider.getStatus(OTHER_AIRLINE, 'ND1310', seconds - HOUR), 0, "Records of another airline should not match");
+    assert.equal(await provider.getStatus(AIRLINE, 'ND1311', seconds + 4 * HOUR), 10, "Absolute departures should still be read");
+    assert.equal(await provider.getStatus(AIRLINE, 'ND1312', seconds + 4 * HOUR), 0, "Unknown flights should have an unknown status");
+    assert.equal(await provider.getStatus(AIRLINE, 'ND1309', seconds + 3 * 24 * HOUR), 0, "Records more than a day away should not match");
+  });
+
+  it('bundles flights departing in the day after the server starts', async () => {
+    let records = FixtureProvider.loadFixture(path.join(__dirname, '../src/server/fixtures/flights.csv'), now);
+    let seconds = now / 1000;
+    assert.isAbove(records.length, 0, "Fixture should have flights");
+    assert.isTrue(records.every(record => record.departure > seconds && record.departure <= seconds + 24 * HOUR), "Every flight should depart within a day after the start");
+
+    let provider = new FixtureProvider.default({ file: path.join(__dirname, '../src/server/fixtures/flights.csv'), now });
+    let delayed = records.find(record => record.status === 'delayed');
+    assert.notEqual(await provider.getStatus(AIRLINE, delayed.flight, delayed.departure), 0, "A flight registered for today should be answered from the fixture");
+  });
+});
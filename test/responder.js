@@ -0,0 +1,128 @@
+// The server modules are ES modules, compile them on the fly
+require('@babel/register')({ presets: ['@babel/preset-env'], only: [/src\/server/] });
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var Responder = require('../src/server/responder.js');
+var OracleResponder = Responder.default;
+
+const APP = '0x3E2a1d5E5B7D1A4c1A2A2F5b4A6f5D0E4e4C1c11';
+const ORACLE = '0x627306090abaB3A6e1400e9345bC60c78a8BEf57';
+const AIRLINE = '0xf17f52151EbEF6C7334FAD080c5704D77216b732';
+
+// Node with a single account: sends take the next nonce unless the script for that send says otherwise
+function createNode(count) {
+  let node = { count, sends: [], script: {} };
+  let fail = (message, receipt) => Object.assign(new Error(message), receipt ? { receipt } : {});
+  node.web3 = {
+    eth: {
+      getTransactionCount: async () => node.count
+    }
+  };
+  node.flightSuretyApp = {
+    methods: {
+      submitOracleResponse: (index, airline, flight) => ({
+        send: async ({ nonce }) => {
+          let outcome = node.script[node.sends.length];
+          node.sends.push({ flight, nonce, outcome: outcome || 'mined' });
+          if (outcome === 'lost') {
+            throw fail('CONNECTION ERROR: Couldn\'t connect to node');
+          }
+          if (nonce < node.count) throw fail('nonce too low');
+          if (nonce > node.count) throw fail('nonce too high');
+          node.count++;
+          if (outcome === 'reached') {
+            throw fail('Invalid JSON RPC response: ""');
+          }
+          if (outcome && outcome.revert) {
+            node.reason = outcome.revert;
+            throw fail('Transaction has been reverted by the EVM', { blockNumber: 42, status: false });
+          }
+        },
+        call: async () => {
+          throw fail(`VM Exception while processing transaction: revert ${node.reason}`);
+        }
+      })
+    }
+  };
+  return node;
+}
+
+describe('Oracle responder', () => {
+
+  var dir;
+  var file;
+  var log;
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'responder-'));
+    file = path.join(dir, 'responses.json');
+    // The responder tells about every retry, only the test results are of interest here
+    log = console.log;
+    console.log = () => {};
+  });
+  afterEach(() => {
+    console.log = log;
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  function request(responder, flight, blockNumber) {
+    let key = `3:${AIRLINE}:${flight}:1767225600`;
+    responder.claim(key, { index: 3, airline: AIRLINE, flight, timestamp: 1767225600, blockNumber });
+    return key;
+  }
+
+  it('sends the responses of an account one at a time, retrying with the nonce of the node', async () => {
+    let node = createNode(7);
+    node.script = {
+      0: 'lost',
+      4: 'reached',
+      5: { revert: 'Oracle has already responded' },
+      6: { revert: 'Oracle is suspended' }
+    };
+    let responder = new OracleResponder({ web3: node.web3, flightSuretyApp: node.flightSuretyApp, file, appAddress: APP, backoff: 1 });
+    let respond = (flight, i) => responder.respond(request(responder, flight, 100 + i), [{ account: ORACLE, statusCode: 20, delay: 0 }]);
+
+    let [first] = await respond('ND0001', 0);
+    // A transaction sent from the account by someone else, the nonce counted locally is taken now
+    node.count++;
+    let responses = [first].concat((await Promise.all(['ND0002', 'ND0003', 'ND0004', 'ND0005', 'ND0006'].map((flight, i) => respond(flight, i + 1)))).map(([response]) => response));
+
+    assert.deepEqual(node.sends.map((send) => `${send.flight}:${send.nonce}`), [
+      'ND0001:7', // lost on the way, sent again with the same nonce
+      'ND0001:7',
+      'ND0002:8', // nonce too low, sent again with the nonce of the node
+      'ND0002:9',
+      'ND0003:10', // reached the node despite the error, not sent again
+      'ND0004:11',
+      'ND0005:12',
+      'ND0006:13' // mined reverts use their nonce
+    ], "Sends should go out one at a time with the next nonce");
+    assert.deepEqual(responses.map((response) => response.state), ['sent', 'sent', 'sent', 'settled', 'failed', 'sent'], "Responses should end up sent, settled after the consensus or failed");
+    assert.include(responses[4].error, 'Oracle is suspended', "A failed response should keep the revert reason");
+
+    let stored = JSON.parse(fs.readFileSync(file, 'utf-8'));
+    assert.deepEqual(Object.values(stored.requests).map((request) => request.responses[0].state), responses.map((response) => response.state), "States should be stored");
+  });
+
+  it('claims a request once and sends the responses left queued after a restart', async () => {
+    let node = createNode(0);
+    let responder = new OracleResponder({ web3: node.web3, flightSuretyApp: node.flightSuretyApp, file, appAddress: APP });
+    let key = request(responder, 'ND0001', 100);
+    assert.equal(responder.claim(key, { index: 3, airline: AIRLINE, flight: 'ND0001', timestamp: 1767225600, blockNumber: 100 }), false, "A request should be claimed once");
+    // The server stops before the responses are sent
+    responder.enqueue = () => Promise.resolve();
+    await responder.respond(key, [{ account: ORACLE, statusCode: 20, delay: 0 }, { account: ORACLE, statusCode: 10, delay: 0 }]);
+
+    let restarted = new OracleResponder({ web3: node.web3, flightSuretyApp: node.flightSuretyApp, file, appAddress: APP });
+    assert.equal(restarted.lastBlock, 100, "The block of the latest request should be kept");
+    assert.equal(restarted.claim(key, { index: 3, airline: AIRLINE, flight: 'ND0001', timestamp: 1767225600, blockNumber: 100 }), false, "A replayed request should not be claimed again");
+    await restarted.resume();
+    await restarted.resume();
+    assert.deepEqual(node.sends.map((send) => send.nonce), [0, 1], "Queued responses should be sent once");
+    assert.deepEqual(JSON.parse(fs.readFileSync(file, 'utf-8')).requests[key].responses.map((response) => response.state), ['sent', 'sent'], "Sent responses should be stored");
+
+    let redeployed = new OracleResponder({ web3: node.web3, flightSuretyApp: node.flightSuretyApp, file, appAddress: AIRLINE });
+    assert.equal(redeployed.has(key), false, "Requests of another app contract should be dropped");
+  });
+});
@@ -0,0 +1,74 @@
+// The server modules are ES modules, compile them on the fly
+require('@babel/register')({ presets: ['@babel/preset-env'], only: [/src\/server/] });
+
+var Test = require('../config/testConfig.js');
+var Schedule = require('../src/server/schedule.js');
+
+contract('Flight schedule import', async (accounts) => {
+
+  var config;
+  var flightSuretyApp;
+  var airline;
+  var now;
+  before('setup contract', async () => {
+    config = await Test.Config(accounts);
+    airline = config.firstAirline;
+    await config.flightSuretyData.authorizeCaller(config.flightSuretyApp.address);
+    await config.flightSuretyApp.registerAirline(airline, "AIR1");
+    await config.flightSuretyApp.fund({ from: airline, value: web3.utils.toWei('10', 'ether') });
+    // The importer works with web3 contracts, like the rest of the server
+    flightSuretyApp = new web3.eth.Contract(config.flightSuretyApp.abi, config.flightSuretyApp.address);
+    now = Number((await web3.eth.getBlock('latest')).timestamp);
+  });
+
+  it('reads CSV and JSON schedules and tells what is wrong with a row', () => {
+    let departure = new Date((now + 3600) * 1000).toISOString();
+    let rows = Schedule.parseSchedule([
+      'flight,route,departure',
+      `ND2001,ams-jfk,${departure}`,
+      `,AMS-JFK,${departure}`,
+      `ND2002,Amsterdam,${departure}`,
+      'ND2003,AMS-JFK,tomorrow'
+    ].join('\n'), 'csv');
+
+    assert.deepEqual(rows[0], { row: 1, flight: 'ND2001', route: 'AMS-JFK', departure: now + 3600, error: null }, "Valid row should be read with its departure in seconds");
+    assert.equal(rows[1].error, 'A flight needs a number', "Flight number should be required");
+    assert.include(rows[2].error, 'origin and destination airport codes', "Route should be airport codes");
+    assert.include(rows[3].error, 'neither a date nor unix seconds', "Departure should be a date or seconds");
+
+    let json = Schedule.parseSchedule(JSON.stringify({ flights: [{ flight: 'ND2001', route: 'AMS-JFK', departure: now + 3600 }] }));
+    assert.deepEqual(json, [rows[0]], "JSON schedule should be read the same way");
+    assert.throws(() => Schedule.parseSchedule('{"flight": "ND2001"}'), /array of flights/, "JSON schedule should be a list");
+  });
+
+  it('registers new flights in batches, skips existing ones and reports every row', async () => {
+    let rows = Schedule.parseSchedule(JSON.stringify([
+      { flight: 'ND3001', route: 'AMS-JFK', departure: now + 3600 },
+      { flight: 'ND3002', route: 'JFK-AMS', departure: now + 7200 },
+      { flight: 'ND3003', route: 'AMS-LHR', departure: now + 3600 },
+      { flight: 'ND3001', route: 'AMS-JFK', departure: now + 3600 },
+      { flight: 'ND3004', route: 'AMS-LHR', departure: now - 3600 },
+      { flight: 'ND3005', route: 'LHR', departure: now + 3600 }
+    ]));
+    await config.flightSuretyApp.registerFlight('ND3002', now + 7200, { from: airline });
+
+    let reported = [];
+    let results = await Schedule.importSchedule({ web3, flightSuretyApp }, rows, { from: airline, batchSize: 1, onRow: result => reported.push(result.row) });
+    assert.deepEqual(results.map(result => result.status), ['registered', 'skipped', 'registered', 'skipped', 'failed', 'failed'], "Every row should be reported");
+    assert.equal(results[1].reason, 'Flight is already registered', "Existing flight should be skipped");
+    assert.equal(results[3].reason, 'Same flight as row 1', "Flight listed twice should be registered once");
+    assert.equal(results[4].reason, 'Departure has to be in the future', "Departed flight should not be sent");
+    assert.sameMembers(reported, [1, 2, 3, 4, 5, 6], "Every row should be reported as it is known");
+    assert.equal(await flightSuretyApp.methods.isFlightRegistered(airline, 'ND3003', now + 3600).call(), true, "Flight should be registered");
+
+    let again = await Schedule.importSchedule({ web3, flightSuretyApp }, rows.slice(0, 3), { from: airline });
+    assert.deepEqual(again.map(result => result.status), ['skipped', 'skipped', 'skipped'], "Importing again should register nothing");
+  });
+
+  it('fails the rows of a batch the contract would revert', async () => {
+    let rows = Schedule.parseSchedule(JSON.stringify([{ flight: 'ND4001', route: 'AMS-JFK', departure: now + 3600 }]));
+    let results = await Schedule.importSchedule({ web3, flightSuretyApp }, rows, { from: accounts[9] });
+    assert.equal(results[0].status, 'failed', "Row should fail");
+    assert.include(results[0].reason, 'Caller is not an Airline', "Row should tell why the contract refused it");
+  });
+});
@@ -0,0 +1,46 @@
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var webpack = require('webpack');
+var serverConfig = require('../webpack.config.server.js');
+
+describe('Server build', function () {
+
+  this.timeout(120000);
+
+  // Builds a server module with the rules and definitions of the server build, without serving it
+  function build(entry) {
+    let output = path.join(os.tmpdir(), `flightsurety-server-build-${process.pid}`);
+    let compiler = webpack({
+      mode: 'development',
+      // The eval source maps and the default hashes need md4, which recent Node versions lack
+      devtool: false,
+      target: serverConfig.target,
+      entry: entry,
+      externals: serverConfig.externals,
+      module: serverConfig.module,
+      plugins: serverConfig.plugins.filter(plugin => plugin instanceof webpack.DefinePlugin),
+      output: { path: output, filename: 'bundle.js', libraryTarget: 'commonjs2', hashFunction: 'sha256' }
+    });
+    return new Promise((resolve, reject) => compiler.run((error, stats) => {
+      if (error || stats.hasErrors()) return reject(error || new Error(stats.toString('errors-only')));
+      resolve(output);
+    }));
+  }
+
+  it('reads the environment when the server runs, not when it is built', async () => {
+    let output = await build(path.resolve(__dirname, '../src/server/network.js'));
+    let network = process.env.FLIGHT_SURETY_NETWORK;
+    process.env.FLIGHT_SURETY_NETWORK = 'staging';
+    try {
+      assert.equal(require(path.join(output, 'bundle.js')).networkName([]), 'staging', "FLIGHT_SURETY_NETWORK should reach the built server");
+    } finally {
+      fs.rmSync(output, { recursive: true, force: true });
+      if (network === undefined) {
+        delete process.env.FLIGHT_SURETY_NETWORK;
+      } else {
+        process.env.FLIGHT_SURETY_NETWORK = network;
+      }
+    }
+  });
+});
@@ -0,0 +1,60 @@
+// The dapp modules are ES modules, compile them on the fly
+require('@babel/register')({ presets: ['@babel/preset-env'], only: [/src\/dapp/] });
+
+var Test = require('../config/testConfig.js');
+var Web3 = require('web3');
+var Transactions = require('../src/dapp/transaction.js');
+var TransactionTracker = Transactions.default;
+
+contract('Transaction tracker', async (accounts) => {
+
+  var config;
+  var flightSuretyApp;
+  var tracker;
+  var updates;
+  before('setup contract', async () => {
+    config = await Test.Config(accounts);
+    await config.flightSuretyData.authorizeCaller(config.flightSuretyApp.address);
+    await config.flightSuretyApp.registerAirline(config.firstAirline, "AIR1");
+
+    let web3Dapp = new Web3(web3.currentProvider);
+    flightSuretyApp = new web3Dapp.eth.Contract(config.flightSuretyApp.abi, config.flightSuretyApp.address);
+  });
+
+  beforeEach(() => {
+    tracker = new TransactionTracker(1);
+    updates = [];
+    tracker.onUpdate(tx => updates.push({ state: tx.state, hash: tx.hash, gasUsed: tx.gasUsed, reason: tx.reason }));
+  });
+
+  it('reports pending, mined and confirmed states with the gas used', async () => {
+    let method = flightSuretyApp.methods.fund();
+    let receipt = await tracker.send('Fund airline', method, { from: config.firstAirline, value: Web3.utils.toWei('10', 'ether') });
+
+    // Ganache mines one block per transaction, the next one confirms the previous
+    await config.flightSuretyApp.registerAirline(accounts[2], "AIR2", { from: config.firstAirline });
+    await new Promise(resolve => setTimeout(resolve, 1000));
+
+    let states = updates.map(update => update.state).filter((state, i, all) => state !== all[i - 1]);
+    assert.deepEqual(states, [Transactions.TX_PENDING, Transactions.TX_MINED, Transactions.TX_CONFIRMED], "Transaction should move through every state");
+    assert.equal(updates[updates.length - 1].hash, receipt.transactionHash, "Transaction hash should be reported");
+    assert.equal(updates[updates.length - 1].gasUsed, receipt.gasUsed, "Gas used should be reported");
+  });
+
+  it('decodes the revert reason and does not send failing transactions', async () => {
+    let nonce = await web3.eth.getTransactionCount(accounts[3]);
+    let reason = null;
+    try {
+      await tracker.send('Register airline', flightSuretyApp.methods.registerAirline(accounts[4], "AIR4"), { from: accounts[3] });
+    }
+    catch (e) {
+      reason = e.message;
+    }
+
+    assert.equal(reason, "Caller is not an Airline", "Revert reason should be decoded");
+    assert.equal(updates[updates.length - 1].state, Transactions.TX_FAILED, "Transaction should be reported as failed");
+    assert.equal(updates[updates.length - 1].reason, "Caller is not an Airline", "Failure should carry the revert reason");
+    assert.equal(await web3.eth.getTransactionCount(accounts[3]), nonce, "Failing transaction should not be sent");
+  });
+
+});
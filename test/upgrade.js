@@ -0,0 +1,99 @@
+var Test = require('../config/testConfig.js');
+var FlightSuretyApp = artifacts.require("FlightSuretyApp");
+var Web3 = require('web3');
+var upgrade = require('../migrations/3_upgrade_app.js');
+
+const ZERO_ADDRESS = '0x0000000000000000000000000000000000000000';
+const STATUS_CODE_LATE_WEATHER = 30;
+
+contract('App upgrade', async (accounts) => {
+
+  var config;
+  var entry;
+  var previous;
+  var data;
+  var log;
+  before('setup contract', async () => {
+    let deployBlock = await web3.eth.getBlockNumber();
+    config = await Test.Config(accounts);
+    previous = config.flightSuretyApp;
+    data = config.flightSuretyData;
+    await data.authorizeCaller(previous.address);
+    await previous.registerAirline(config.firstAirline, "AIR1");
+    await previous.fund({ from: config.firstAirline, value: Web3.utils.toWei('10', 'ether') });
+    // State of the old app that has to carry over: payout terms, the request timeout and oracles
+    await previous.setPayout(STATUS_CODE_LATE_WEATHER, 60);
+    await previous.setAirlinePayout(config.firstAirline, STATUS_CODE_LATE_WEATHER, 80, { from: config.firstAirline });
+    await previous.setRequestTimeout(25);
+    for (let a = 20; a < 25; a++) {
+      await previous.registerOracle({ from: accounts[a], value: Web3.utils.toWei('1', 'ether') });
+    }
+    // The deployment as the config records it
+    entry = { appAddress: previous.address, dataAddress: data.address, deployBlock, appDeployBlock: deployBlock };
+  });
+
+  beforeEach(() => {
+    // The upgrade tells about every step, only the test results are of interest here
+    log = console.log;
+    console.log = () => {};
+  });
+  afterEach(() => {
+    console.log = log;
+  });
+
+  let readState = () => upgrade.snapshot(entry, data, previous);
+
+  async function reasonOf(promise) {
+    try {
+      await promise;
+    } catch (e) {
+      return e.message;
+    }
+    return '';
+  }
+
+  it('leaves the old app in charge when the state did not carry over', async () => {
+    let next = await FlightSuretyApp.new(data.address);
+    // A rating read before another response changed it, the check after the migration finds the difference
+    let stale = async () => {
+      let state = await readState();
+      return { ...state, ratings: state.ratings.map((rating, i) => i === 0 ? JSON.stringify([]) : rating) };
+    };
+
+    assert.include(await reasonOf(upgrade.takeOver(data, previous, next, stale)), "did not carry over", "Upgrade should stop at the check");
+    assert.equal(await previous.successor.call(), ZERO_ADDRESS, "Old app should not be retired");
+    assert.deepEqual(await data.getAuthorizedCallers.call(), [previous.address], "New app should be deauthorized again");
+    assert.equal(await data.isOperational.call({ from: previous.address }), true, "Contracts should run again");
+    assert.equal(await previous.isOperational.call(), true, "Old app should carry on");
+  });
+
+  it('takes over the state of the old app and retires it, an upgrade run again after the retirement finishes it', async () => {
+    let state = await readState();
+    let stakes = await web3.eth.getBalance(previous.address);
+    let next = await FlightSuretyApp.new(data.address);
+
+    assert.deepEqual(await upgrade.takeOver(data, previous, next, readState), state, "Take over should return the state it carried over");
+    assert.equal(await previous.successor.call(), next.address, "Old app should be retired to the new one");
+    assert.equal(await previous.isOperational.call(), false, "Retired app should stop");
+    assert.equal(await next.isOperational.call(), true, "New app should run");
+    assert.equal(await web3.eth.getBalance(next.address), stakes, "Oracle stakes should move to the new app");
+    assert.sameMembers(await data.getAuthorizedCallers.call(), [previous.address, next.address], "Both apps should be authorized until the upgrade finishes");
+    assert.equal(Number((await next.getPayoutTerms.call(config.firstAirline))[1]), 80, "Payout terms should carry over");
+    assert.equal(Number(await next.getRequestTimeout.call()), 25, "Request timeout should carry over");
+    assert.equal(state.oracles.length, 5, "Every oracle should be carried over");
+
+    // The upgrade stopped after the retirement, running it again checks the state and carries on
+    let retry = await readState();
+    assert.deepEqual(retry, state, "Retired app should still give the state");
+    await upgrade.migrate(previous, next, retry);
+    await upgrade.verify(previous, next, retry);
+    let registered = await next.getPastEvents('OracleRegistered', { fromBlock: 0 });
+    assert.equal(registered.length, state.oracles.length, "Oracles should be registered with the new app once");
+    await data.deauthorizeCaller(previous.address);
+    assert.deepEqual(await data.getAuthorizedCallers.call(), [next.address], "Only the new app should be authorized");
+
+    // Another app can't take over from the retired one
+    let other = await FlightSuretyApp.new(data.address);
+    assert.include(await reasonOf(upgrade.migrate(previous, other, retry)), "App contract was retired to another one", "Retired app should only hand over to its successor");
+  });
+});
@@ -0,0 +1,92 @@
+// The dapp modules are ES modules, compile them on the fly
+require('@babel/register')({ presets: ['@babel/preset-env'], only: [/src\/dapp/] });
+
+var Test = require('../config/testConfig.js');
+var Web3 = require('web3');
+var Wallet = require('../src/dapp/wallet.js').default;
+var Roles = require('../src/dapp/roles.js');
+
+// EIP-1193 provider in front of the test chain, standing in for an injected wallet
+class MockProvider {
+  constructor(provider, account) {
+    this.provider = provider;
+    this.account = account;
+    this.listeners = {};
+  }
+
+  request({ method, params = [] }) {
+    if (method === 'eth_requestAccounts' || method === 'eth_accounts') {
+      return Promise.resolve([this.account]);
+    }
+    return new Promise((resolve, reject) => {
+      this.provider.send({ jsonrpc: '2.0', id: Date.now(), method, params }, (error, response) => {
+        if (error || response.error) reject(error || response.error);
+        else resolve(response.result);
+      });
+    });
+  }
+
+  on(event, listener) {
+    (this.listeners[event] = this.listeners[event] || []).push(listener);
+  }
+
+  emit(event, ...args) {
+    (this.listeners[event] || []).forEach(listener => listener(...args));
+  }
+
+  // What a wallet does when the user picks another account
+  selectAccount(account) {
+    this.account = account;
+    this.emit('accountsChanged', [account]);
+  }
+}
+
+contract('Wallet', async (accounts) => {
+
+  var config;
+  var provider;
+  var wallet;
+  before('setup contract', async () => {
+    config = await Test.Config(accounts);
+    await config.flightSuretyData.authorizeCaller(config.flightSuretyApp.address);
+    await config.flightSuretyApp.registerAirline(config.firstAirline, "AIR1");
+    await config.flightSuretyApp.fund({ from: config.firstAirline, value: Web3.utils.toWei('10', 'ether') });
+    await config.flightSuretyApp.registerAirline(accounts[2], "AIR2", { from: config.firstAirline });
+
+    provider = new MockProvider(web3.currentProvider, config.owner);
+    let web3Wallet = new Web3(provider);
+    let flightSuretyApp = new web3Wallet.eth.Contract(config.flightSuretyApp.abi, config.flightSuretyApp.address);
+    wallet = new Wallet(provider, flightSuretyApp);
+  });
+
+  it('connects to the account selected in the wallet', async () => {
+    let account = await wallet.connect();
+    assert.equal(account, config.owner, "Wallet should connect to the selected account");
+    assert.deepEqual(wallet.roles, [Roles.ROLE_OWNER, Roles.ROLE_PASSENGER], "Contract owner should be detected");
+  });
+
+  it('detects airline, funded airline and passenger roles', async () => {
+    let changes = [];
+    wallet.onAccountChanged((account, roles) => changes.push({ account, roles }));
+
+    for (let account of [config.firstAirline, accounts[2], accounts[7]]) {
+      provider.selectAccount(account);
+      await new Promise(resolve => setTimeout(resolve, 200));
+    }
+
+    assert.deepEqual(changes.map(change => change.roles), [
+      [Roles.ROLE_FUNDED_AIRLINE],
+      [Roles.ROLE_AIRLINE],
+      [Roles.ROLE_PASSENGER]
+    ], "Roles should follow the selected account");
+    assert.equal(wallet.account, accounts[7], "Last selected account should be active");
+  });
+
+  it('reports chain changes', async () => {
+    let chainId = null;
+    wallet.onChainChanged(id => chainId = id);
+    provider.emit('chainChanged', '0x5');
+    assert.equal(chainId, '0x5', "Chain change should be passed on");
+  });
+
+});
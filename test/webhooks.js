@@ -0,0 +1,147 @@
+// The server modules are ES modules, compile them on the fly
+require('@babel/register')({ presets: ['@babel/preset-env'], only: [/src\/server/] });
+
+var fs = require('fs');
+var os = require('os');
+var path = require('path');
+var http = require('http');
+var Web3 = require('web3');
+var Webhooks = require('../src/server/webhooks.js');
+var WebhookDispatcher = Webhooks.default;
+
+const AIRLINE = '0xf17f52151EbEF6C7334FAD080c5704D77216b732';
+const PASSENGER = '0x2191eF87E392377ec08E7c08Eb105Ef5448eCED5';
+const FLIGHT_KEY = '0x1f8a8a5e1e8b0bd5a2e0fa4b23a9c4f5dbb1b7b1f5b9bb70cd16e1bbcfd3c2a1';
+
+// Local receiver answering with the status codes queued in `answers`, 200 once they ran out
+function createReceiver() {
+  let receiver = { requests: [], answers: [] };
+  receiver.server = http.createServer((req, res) => {
+    let body = '';
+    req.on('data', chunk => body += chunk);
+    req.on('end', () => {
+      receiver.requests.push({ headers: req.headers, body });
+      res.statusCode = receiver.answers.length ? receiver.answers.shift() : 200;
+      res.end();
+    });
+  });
+  return new Promise(resolve => receiver.server.listen(0, () => {
+    receiver.url = `http://localhost:${receiver.server.address().port}/hooks`;
+    resolve(receiver);
+  }));
+}
+
+// Events the way the indexer keeps them
+function indexedEvent(event, returnValues, blockNumber) {
+  return { contract: 'app', event, blockNumber, transactionHash: '0x' + String(blockNumber).padStart(64, '0'), logIndex: 0, returnValues };
+}
+
+const statusEvent = indexedEvent('FlightStatusInfo', { airline: AIRLINE, flight: 'ND1309', timestamp: '1767225600', status: '20' }, 7);
+const creditEvent = indexedEvent('InsureeCredited', { passenger: PASSENGER, flightKey: FLIGHT_KEY, value: '1500000000000000000' }, 8);
+
+describe('Webhooks', () => {
+
+  var dir;
+  var receiver;
+  before('start the receiver', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'webhooks-'));
+    receiver = await createReceiver();
+  });
+
+  after('stop the receiver', () => {
+    receiver.server.close();
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    receiver.requests = [];
+    receiver.answers = [];
+  });
+
+  function createDispatcher(name, options = {}) {
+    let indexer = { lastBlock: 0, events: [], query({ fromBlock, toBlock }) {
+      return this.events.filter(event => event.blockNumber >= fromBlock && event.blockNumber <= toBlock);
+    } };
+    return new WebhookDispatcher({ indexer, file: path.join(dir, `${name}.json`), backoff: 10, ...options });
+  }
+
+  it('posts the events a subscription asked for, signed with its secret', async () => {
+    let webhooks = createDispatcher('signed');
+    let subscription = webhooks.subscribe({ url: receiver.url, events: ['flight.status'] });
+
+    webhooks.dispatch(statusEvent);
+    webhooks.dispatch(creditEvent);
+    await webhooks.flush();
+
+    assert.equal(receiver.requests.length, 1, "Only the flight status should be posted");
+    let { headers, body } = receiver.requests[0];
+    assert.equal(headers['x-flightsurety-signature'], Webhooks.sign(subscription.secret, body), "Payload should be signed with the secret");
+    assert.equal(headers['x-flightsurety-event'], 'flight.status', "Event type should be sent along");
+
+    let payload = JSON.parse(body);
+    assert.equal(payload.type, 'flight.status', "Payload should carry the event type");
+    assert.equal(payload.id, `${statusEvent.transactionHash}:0`, "Payload id should identify the contract event");
+    assert.deepEqual(payload.data, {
+      flightKey: Web3.utils.soliditySha3(AIRLINE, 'ND1309', 1767225600),
+      airline: AIRLINE,
+      flight: 'ND1309',
+      departure: 1767225600,
+      statusCode: 20
+    }, "Payload should describe the flight status");
+    assert.equal(webhooks.deliveries(subscription.id)[0].status, 200, "Delivery should be logged");
+    assert.isUndefined(webhooks.subscriptions()[0].secret, "Secret should not be listed");
+  });
+
+  it('retries failed deliveries with backoff, then keeps them as dead letters', async () => {
+    let webhooks = createDispatcher('retries', { retries: 2 });
+    let subscription = webhooks.subscribe({ url: receiver.url, events: ['passenger.credited'] });
+    receiver.answers = [500, 503, 500];
+
+    webhooks.dispatch(creditEvent);
+    // The clock stands still while the receiver answers, so the waits don't depend on latency
+    let realNow = Date.now;
+    let clock = realNow();
+    Date.now = () => clock;
+    let waits = [];
+    try {
+      for (let i = 0; i < 2; i++) {
+        let [delivery] = await webhooks.flush(Infinity);
+        waits.push(delivery.nextAttemptAt - clock);
+      }
+      await webhooks.flush(Infinity);
+    } finally {
+      Date.now = realNow;
+    }
+
+    assert.equal(receiver.requests.length, 3, "Delivery should be tried once and retried twice");
+    assert.deepEqual(waits, [10, 20], "Backoff should double");
+    assert.deepEqual(webhooks.deliveries(subscription.id).map(entry => entry.status), [500, 503, 500], "Every attempt should be logged");
+    let [letter] = webhooks.deadLetters();
+    assert.equal(letter.lastError, 'Receiver answered 500', "Dead letter should keep the last error");
+    assert.equal(letter.payload.data.amount, '1500000000000000000', "Dead letter should keep the payload");
+
+    assert.isTrue(webhooks.redeliver(letter.id), "Dead letter should be queued again");
+    await webhooks.flush();
+    assert.equal(receiver.requests.length, 4, "Dead letter should be redelivered");
+    assert.equal(webhooks.deadLetters().length, 0, "Redelivered letter should leave the dead letters");
+    assert.equal(JSON.parse(receiver.requests[3].body).data.passenger, PASSENGER, "Redelivery should send the same payload");
+  });
+
+  it('sends what the indexer adds after the first sync, once', async () => {
+    let webhooks = createDispatcher('sync');
+    webhooks.subscribe({ url: receiver.url });
+    webhooks.indexer.events.push(statusEvent);
+    webhooks.indexer.lastBlock = 7;
+    webhooks.sync();
+    await webhooks.flush();
+    assert.equal(receiver.requests.length, 0, "History before the first sync should not be sent");
+
+    webhooks.indexer.events.push(creditEvent);
+    webhooks.indexer.lastBlock = 8;
+    webhooks.sync();
+    webhooks.sync();
+    await webhooks.flush();
+    assert.deepEqual(receiver.requests.map(request => JSON.parse(request.body).type), ['passenger.credited'], "New events should be sent once");
+  });
+
+});
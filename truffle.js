@@ -1,15 +1,34 @@
+const fs = require('fs');
+
 module.exports = {
   networks: {
     development: {
       host: "127.0.0.1",
       port: 7545,
       network_id: '*',
+    },
+    // Shared test chain, the deployer mnemonic is read from .secret
+    staging: {
+      url: process.env.STAGING_RPC_URL,
+      provider: () => {
+        const HDWalletProvider = require('truffle-hdwallet-provider');
+        return new HDWalletProvider(fs.readFileSync('.secret', 'utf-8').trim(), process.env.STAGING_RPC_URL);
+      },
+      network_id: process.env.STAGING_NETWORK_ID || '*',
     }
   },
   // Configure your compilers
   compilers: {
     solc: {
-      version: "0.8.19"
+      version: "0.8.19",
+      // FlightSuretyApp only fits the contract size limit optimized through the IR pipeline
+      settings: {
+        optimizer: {
+          enabled: true,
+          runs: 200
+        },
+        viaIR: true
+      }
     }
   }
 };
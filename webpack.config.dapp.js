@@ -1,4 +1,5 @@
 const path = require("path");
+const webpack = require("webpack");
 const HtmlWebpackPlugin = require("html-webpack-plugin");
 module.exports = {
   entry: ['babel-polyfill', path.join(__dirname, "src/dapp")],
@@ -43,6 +44,10 @@ module.exports = {
   plugins: [
     new HtmlWebpackPlugin({
       template: path.join(__dirname, "src/dapp/index.html")
+    }),
+    // Network from config.json to use unless the page asks for another one
+    new webpack.DefinePlugin({
+      "process.env.FLIGHT_SURETY_NETWORK": JSON.stringify(process.env.FLIGHT_SURETY_NETWORK || "")
     })
   ],
   resolve: {
@@ -5,14 +5,11 @@ const StartServerPlugin = require('start-server-webpack-plugin')
 
 module.exports = {
     entry: [
-        'webpack/hot/poll?1000',
         './src/server/index'
     ],
     watch: true,
     target: 'node',
-    externals: [nodeExternals({
-        whitelist: ['webpack/hot/poll?1000']
-    })],
+    externals: [nodeExternals()],
     module: {
         rules: [{
             test: /\.js?$/,
@@ -21,14 +18,12 @@ module.exports = {
         }]
     },
     plugins: [
-        new StartServerPlugin('server.js'),
+        new StartServerPlugin({ name: 'server.js', keyboard: true }),
         new webpack.NamedModulesPlugin(),
-        new webpack.HotModuleReplacementPlugin(),
         new webpack.NoEmitOnErrorsPlugin(),
+        // Only BUILD_TARGET is fixed at build time, the rest of process.env is read when the server runs
         new webpack.DefinePlugin({
-            "process.env": {
-                "BUILD_TARGET": JSON.stringify('server')
-            }
+            "process.env.BUILD_TARGET": JSON.stringify('server')
         }),
     ],
     output: {